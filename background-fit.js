@@ -0,0 +1,91 @@
+const { createCanvas } = require("@napi-rs/canvas");
+const { calculateCoverRect, calculateContainRect } = require("./shared");
+
+/**
+ * Background drawing for the fit modes of shared/background-fit.js
+ */
+
+/**
+ * Draw a cover-fitted image
+ */
+function drawCover(ctx, image, width, height, focalX, focalY) {
+  const { sx, sy, sWidth, sHeight } = calculateCoverRect(
+    image.width,
+    image.height,
+    width,
+    height,
+    focalX,
+    focalY
+  );
+  ctx.drawImage(image, sx, sy, sWidth, sHeight, 0, 0, width, height);
+}
+
+/**
+ * Draw a contain-fitted image
+ */
+function drawContain(ctx, image, width, height) {
+  const { dx, dy, dWidth, dHeight } = calculateContainRect(
+    image.width,
+    image.height,
+    width,
+    height
+  );
+  ctx.drawImage(image, dx, dy, dWidth, dHeight);
+}
+
+/**
+ * Draw a blurred, cover-fitted copy of the image
+ * The blur is approximated by drawing the image into a small canvas and
+ * scaling it back up with smoothing enabled, which costs far less than a
+ * ctx.filter blur at full output size.
+ */
+function drawBlurredCover(ctx, image, width, height, blurRadius) {
+  const factor = Math.max(1, blurRadius / 2);
+  const smallWidth = Math.max(1, Math.round(width / factor));
+  const smallHeight = Math.max(1, Math.round(height / factor));
+
+  const small = createCanvas(smallWidth, smallHeight);
+  const smallCtx = small.getContext("2d");
+  smallCtx.imageSmoothingEnabled = true;
+  drawCover(smallCtx, image, smallWidth, smallHeight, 0.5, 0.5);
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(small, 0, 0, width, height);
+  ctx.restore();
+}
+
+/**
+ * Draw the background image onto the canvas using the style's fit mode
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Image} image - Loaded background image
+ * @param {Object} style - Resolved style (width, height, fit, focalX, focalY, letterboxColor, blurRadius)
+ */
+function drawBackground(ctx, image, style) {
+  const { width, height } = style;
+
+  switch (style.fit) {
+    case "cover":
+      drawCover(ctx, image, width, height, style.focalX, style.focalY);
+      break;
+    case "contain":
+      ctx.fillStyle = style.letterboxColor;
+      ctx.fillRect(0, 0, width, height);
+      drawContain(ctx, image, width, height);
+      break;
+    case "blur-fill":
+      drawBlurredCover(ctx, image, width, height, style.blurRadius);
+      drawContain(ctx, image, width, height);
+      break;
+    case "stretch":
+    default:
+      ctx.drawImage(image, 0, 0, width, height);
+      break;
+  }
+}
+
+module.exports = {
+  drawBackground,
+};
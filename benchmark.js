@@ -0,0 +1,182 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCanvas } = require("@napi-rs/canvas");
+const { TikTokTextOverlay } = require("./text-overlay");
+
+/**
+ * Render throughput benchmark
+ *
+ * Compares the old request path, which wrote every upload to a temporary
+ * file with synchronous fs calls and loaded it back by path, with rendering
+ * straight from the upload buffer:
+ *
+ *   node benchmark.js [--duration 10] [--concurrency 4] [--image photo.jpg]
+ *
+ * With --url the same load is sent to a running API instead, so two server
+ * versions can be compared end to end:
+ *
+ *   node benchmark.js --url http://localhost:3000
+ */
+
+const TEXT = "POV: you finally found the **perfect** caption 🎬";
+
+function parseArgs(argv) {
+  const args = { duration: 10, concurrency: 4, image: null, url: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) {
+      throw new Error(`Unknown option --${key}`);
+    }
+    args[key] = ["duration", "concurrency"].includes(key)
+      ? Number(argv[i + 1])
+      : argv[i + 1];
+  }
+  return args;
+}
+
+/**
+ * A photo-like JPEG when no --image is given (gradient plus noise, so it
+ * does not compress to nothing)
+ */
+function createSampleImage() {
+  const canvas = createCanvas(1500, 2000);
+  const ctx = canvas.getContext("2d");
+  const gradient = ctx.createLinearGradient(0, 0, 1500, 2000);
+  gradient.addColorStop(0, "#355c7d");
+  gradient.addColorStop(1, "#f67280");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 1500, 2000);
+  for (let i = 0; i < 20000; i++) {
+    ctx.fillStyle = `rgba(255, 255, 255, ${Math.random() * 0.2})`;
+    ctx.fillRect(Math.random() * 1500, Math.random() * 2000, 6, 6);
+  }
+  return canvas.toBuffer("image/jpeg", 90);
+}
+
+/**
+ * Run `task` from `concurrency` workers until `duration` seconds have passed
+ *
+ * @returns {Promise<{requests: number, perSecond: number, p50: number, p95: number}>}
+ */
+async function measure(task, { duration, concurrency }) {
+  const latencies = [];
+  const startedAt = Date.now();
+  const deadline = startedAt + duration * 1000;
+
+  const worker = async () => {
+    while (Date.now() < deadline) {
+      const begin = process.hrtime.bigint();
+      await task();
+      latencies.push(Number(process.hrtime.bigint() - begin) / 1e6);
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const elapsed = (Date.now() - startedAt) / 1000;
+  latencies.sort((a, b) => a - b);
+  const percentile = (p) =>
+    latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))];
+
+  return {
+    requests: latencies.length,
+    perSecond: latencies.length / elapsed,
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+  };
+}
+
+function report(label, result) {
+  console.log(
+    `${label.padEnd(12)} ${result.perSecond.toFixed(1).padStart(7)} req/s` +
+      `  p50 ${result.p50.toFixed(1)}ms  p95 ${result.p95.toFixed(1)}ms` +
+      `  (${result.requests} requests)`
+  );
+}
+
+/**
+ * In-process comparison of the temp-file round trip and direct buffers
+ */
+async function benchmarkRenderer(imageBuffer, args) {
+  const renderer = new TikTokTextOverlay();
+  const layers = [{ text: TEXT }];
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "overlay-bench-"));
+  let counter = 0;
+
+  // The request path before rendering from buffers
+  const tempFile = async () => {
+    const tempFilePath = path.join(tempDir, `temp-${counter++}.jpg`);
+    fs.writeFileSync(tempFilePath, imageBuffer);
+    try {
+      await renderer.addTextLayersWithLayout(tempFilePath, layers);
+    } finally {
+      fs.unlinkSync(tempFilePath);
+    }
+  };
+  const buffer = () => renderer.addTextLayersWithLayout(imageBuffer, layers);
+
+  // Renders log every step; keep the benchmark output readable
+  const log = console.log;
+  const quiet = (task) => async () => {
+    console.log = () => {};
+    try {
+      await task();
+    } finally {
+      console.log = log;
+    }
+  };
+
+  try {
+    await quiet(buffer)(); // Warm up fonts and emoji sprites
+    report("temp-file", await measure(quiet(tempFile), args));
+    report("buffer", await measure(quiet(buffer), args));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * End-to-end load against a running API
+ */
+async function benchmarkServer(imageBuffer, args) {
+  const endpoint = new URL("/api/text-overlay?output=binary", args.url).href;
+  const request = async () => {
+    const form = new FormData();
+    form.append("text", TEXT);
+    form.append(
+      "avatar",
+      new Blob([imageBuffer], { type: "image/jpeg" }),
+      "bench.jpg"
+    );
+    const response = await fetch(endpoint, { method: "POST", body: form });
+    await response.arrayBuffer();
+    if (!response.ok) {
+      throw new Error(`Request failed with HTTP ${response.status}`);
+    }
+  };
+
+  await request();
+  report(new URL(args.url).host, await measure(request, args));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const imageBuffer = args.image
+    ? fs.readFileSync(args.image)
+    : createSampleImage();
+
+  console.log(
+    `⏱️  ${args.duration}s per run, concurrency ${args.concurrency}, ${imageBuffer.length} byte image`
+  );
+
+  if (args.url) {
+    await benchmarkServer(imageBuffer, args);
+  } else {
+    await benchmarkRenderer(imageBuffer, args);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Benchmark failed:", error.message);
+  process.exit(1);
+});
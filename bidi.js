@@ -0,0 +1,100 @@
+const bidiFactory = require("bidi-js");
+
+/**
+ * Bidirectional text (Arabic, Hebrew mixed with Latin and digits)
+ *
+ * Lines are broken in logical order and then reordered for display with the
+ * Unicode bidi algorithm (UAX #9): runs are split wherever the embedding
+ * level changes and the pieces are reversed level by level (rule L2). Each
+ * piece holds text of a single direction, which the text shaper draws (and
+ * joins, for Arabic) on its own. Pieces carry that direction so right-to-left
+ * ones are drawn with an rtl base: the shaper then mirrors brackets and
+ * similar characters (rule L4), including in pieces with no Arabic or Hebrew
+ * letter of their own, such as a closing parenthesis after a Latin word.
+ */
+const bidi = bidiFactory();
+
+const TEXT_DIRECTIONS = ["auto", "ltr", "rtl"];
+
+/**
+ * Resolve the paragraph direction of a text
+ *
+ * @param {string} text - Plain text
+ * @param {string} direction - 'auto' (first strong character), 'ltr' or 'rtl'
+ * @returns {string} 'ltr' or 'rtl'
+ */
+function resolveDirection(text, direction = "auto") {
+  if (direction === "ltr" || direction === "rtl") {
+    return direction;
+  }
+
+  const { paragraphs } = bidi.getEmbeddingLevels(text);
+  return paragraphs.length > 0 && paragraphs[0].level % 2 === 1 ? "rtl" : "ltr";
+}
+
+/**
+ * Reorder a line of styled runs from logical to visual (left to right) order
+ *
+ * @param {Object[]} runs - Styled runs in logical order
+ * @param {string} direction - Paragraph direction, 'ltr' or 'rtl'
+ * @returns {Object[]} Runs in visual order, each of a single direction
+ *   ('ltr' or 'rtl' in its direction field)
+ */
+function reorderRunsVisually(runs, direction = "ltr") {
+  const text = runs.map((run) => run.text).join("");
+  if (!text) {
+    return runs;
+  }
+
+  const { levels } = bidi.getEmbeddingLevels(text, direction);
+
+  // Split runs wherever the embedding level changes
+  const pieces = [];
+  let offset = 0;
+  runs.forEach((run) => {
+    let start = 0;
+    for (let index = 1; index <= run.text.length; index++) {
+      if (
+        index === run.text.length ||
+        levels[offset + index] !== levels[offset + start]
+      ) {
+        pieces.push({
+          run: {
+            ...run,
+            text: run.text.slice(start, index),
+            direction: levels[offset + start] % 2 === 1 ? "rtl" : "ltr",
+          },
+          level: levels[offset + start],
+        });
+        start = index;
+      }
+    }
+    offset += run.text.length;
+  });
+
+  // Rule L2: from the highest level down to the lowest odd level, reverse
+  // every sequence of pieces at that level or higher
+  const highestLevel = Math.max(...pieces.map((piece) => piece.level));
+  const lowestOddLevel = Math.min(
+    ...pieces.map((piece) => (piece.level % 2 === 1 ? piece.level : Infinity))
+  );
+
+  for (let level = highestLevel; level >= lowestOddLevel; level--) {
+    for (let start = 0; start < pieces.length; start++) {
+      if (pieces[start].level < level) continue;
+
+      let end = start;
+      while (end < pieces.length && pieces[end].level >= level) end++;
+      pieces.splice(start, end - start, ...pieces.slice(start, end).reverse());
+      start = end;
+    }
+  }
+
+  return pieces.map((piece) => piece.run);
+}
+
+module.exports = {
+  TEXT_DIRECTIONS,
+  resolveDirection,
+  reorderRunsVisually,
+};
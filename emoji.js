@@ -0,0 +1,183 @@
+const { loadImage } = require("@napi-rs/canvas");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Color emoji support
+ *
+ * The canvas renders emoji from the system font stack, which usually means
+ * tofu boxes or monochrome glyphs. Instead, emoji clusters are detected with
+ * grapheme segmentation (so ZWJ sequences, skin tones, flags and keycaps stay
+ * whole) and drawn from the bundled Twemoji PNG sprites, one file per
+ * codepoint sequence, e.g. "1f469-200d-1f4bb.png".
+ */
+const EMOJI_SPRITE_DIR = path.join(
+  path.dirname(require.resolve("emoji-datasource-twitter/package.json")),
+  "img",
+  "twitter",
+  "64"
+);
+
+// A cluster is pictographic when it contains one of these...
+const PICTOGRAPHIC_PATTERN =
+  /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+// ...and is presented as emoji (default emoji presentation, VS16, ZWJ, skin tone, keycap or flag)
+const EMOJI_PRESENTATION_PATTERN =
+  /\p{Emoji_Presentation}|\ufe0f|\u200d|\p{Emoji_Modifier}|\u20e3|\p{Regional_Indicator}/u;
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, {
+  granularity: "grapheme",
+});
+
+// Sprite file lookup keyed by codepoints without variation selectors
+let spriteIndex = null;
+
+// Loaded sprite images, shared across renders
+const spriteCache = new Map();
+
+/**
+ * Split text into grapheme clusters
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Grapheme clusters
+ */
+function splitGraphemes(text) {
+  return Array.from(graphemeSegmenter.segment(text), (part) => part.segment);
+}
+
+/**
+ * Codepoint key for a cluster: lowercase hex joined by "-", without FE0F
+ *
+ * @param {string} cluster - Grapheme cluster
+ * @returns {string} Sprite lookup key
+ */
+function getEmojiKey(cluster) {
+  return Array.from(cluster)
+    .map((char) => char.codePointAt(0))
+    .filter((codePoint) => codePoint !== 0xfe0f)
+    .map((codePoint) => codePoint.toString(16).padStart(4, "0"))
+    .join("-");
+}
+
+/**
+ * Build the sprite index from the bundled sprite directory (once)
+ */
+function getSpriteIndex() {
+  if (!spriteIndex) {
+    spriteIndex = new Map();
+    if (fs.existsSync(EMOJI_SPRITE_DIR)) {
+      fs.readdirSync(EMOJI_SPRITE_DIR)
+        .filter((file) => file.endsWith(".png"))
+        .forEach((file) => {
+          const key = path
+            .basename(file, ".png")
+            .split("-")
+            .filter((part) => part !== "fe0f")
+            .join("-");
+          spriteIndex.set(key, path.join(EMOJI_SPRITE_DIR, file));
+        });
+    } else {
+      console.warn(`⚠️  Emoji sprites not found in ${EMOJI_SPRITE_DIR}`);
+    }
+  }
+  return spriteIndex;
+}
+
+/**
+ * Get the sprite file for an emoji cluster
+ *
+ * @param {string} cluster - Grapheme cluster
+ * @returns {string|null} Sprite path, or null when no sprite exists
+ */
+function getEmojiSpritePath(cluster) {
+  return getSpriteIndex().get(getEmojiKey(cluster)) || null;
+}
+
+/**
+ * Check whether a grapheme cluster should render as a color emoji
+ *
+ * @param {string} cluster - Grapheme cluster
+ * @returns {boolean}
+ */
+function isEmojiCluster(cluster) {
+  return (
+    PICTOGRAPHIC_PATTERN.test(cluster) &&
+    EMOJI_PRESENTATION_PATTERN.test(cluster) &&
+    getEmojiSpritePath(cluster) !== null
+  );
+}
+
+/**
+ * Split styled runs so emoji clusters become their own runs (emoji: true)
+ *
+ * @param {Object[]} runs - Styled runs
+ * @returns {Object[]} Runs with emoji separated from text
+ */
+function splitEmojiRuns(runs) {
+  const result = [];
+
+  runs.forEach((run) => {
+    let buffer = "";
+    let bufferIsEmoji = false;
+
+    splitGraphemes(run.text).forEach((cluster) => {
+      const emoji = isEmojiCluster(cluster);
+      if (buffer && emoji !== bufferIsEmoji) {
+        result.push({ ...run, text: buffer, emoji: bufferIsEmoji });
+        buffer = "";
+      }
+      buffer += cluster;
+      bufferIsEmoji = emoji;
+    });
+
+    if (buffer) {
+      result.push({ ...run, text: buffer, emoji: bufferIsEmoji });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Load the sprites for every emoji in a text so drawing can stay synchronous
+ *
+ * @param {string} text - Text that will be drawn
+ * @returns {Promise<void>}
+ */
+async function preloadEmojiSprites(text) {
+  const clusters = new Set(splitGraphemes(text).filter(isEmojiCluster));
+
+  await Promise.all(
+    [...clusters].map(async (cluster) => {
+      const key = getEmojiKey(cluster);
+      if (spriteCache.has(key)) return;
+
+      try {
+        spriteCache.set(key, await loadImage(getEmojiSpritePath(cluster)));
+      } catch (error) {
+        console.warn(`⚠️  Failed to load emoji sprite ${key}:`, error.message);
+        spriteCache.set(key, null);
+      }
+    })
+  );
+}
+
+/**
+ * Get a previously loaded sprite
+ *
+ * @param {string} cluster - Grapheme cluster
+ * @returns {Image|null} Sprite image, or null when not loaded
+ */
+function getEmojiSprite(cluster) {
+  return spriteCache.get(getEmojiKey(cluster)) || null;
+}
+
+module.exports = {
+  EMOJI_SPRITE_DIR,
+  splitGraphemes,
+  isEmojiCluster,
+  splitEmojiRuns,
+  getEmojiSpritePath,
+  preloadEmojiSprites,
+  getEmojiSprite,
+};
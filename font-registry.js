@@ -0,0 +1,288 @@
+const { GlobalFonts } = require("@napi-rs/canvas");
+const fs = require("fs");
+const path = require("path");
+
+// Fonts shipped with the repository
+const BUNDLED_FONTS_DIR = path.join(__dirname, "fonts");
+
+const FONT_EXTENSIONS = [".ttf", ".otf"];
+
+// sfnt version tags: TrueType (0x00010000 / 'true') and CFF OpenType ('OTTO')
+const FONT_SIGNATURES = [0x00010000, 0x74727565, 0x4f54544f];
+
+// Windows platform / Unicode BMP / US English, then Macintosh / Roman
+const WINDOWS_PLATFORM = 3;
+const MACINTOSH_PLATFORM = 1;
+const WINDOWS_ENGLISH = 0x409;
+
+/**
+ * Decode a name table string for its platform
+ */
+function decodeNameString(buffer, platformID) {
+  if (platformID === MACINTOSH_PLATFORM) {
+    return buffer.toString("latin1");
+  }
+
+  // Windows names are UTF-16BE; Node only decodes little-endian
+  const swapped = Buffer.from(buffer);
+  swapped.swap16();
+  return swapped.toString("utf16le");
+}
+
+/**
+ * Read family, weight and style from a TTF/OTF file
+ * Only the table directory, "name" and "OS/2" tables are parsed.
+ *
+ * @param {Buffer} buffer - Font file contents
+ * @returns {{family: string, subfamily: string, weight: string, style: string}}
+ */
+function readFontMetadata(buffer) {
+  if (buffer.length < 12 || !FONT_SIGNATURES.includes(buffer.readUInt32BE(0))) {
+    throw new Error(
+      "Unsupported font file. Only TrueType (.ttf) and OpenType (.otf) fonts are allowed."
+    );
+  }
+
+  try {
+    const tables = {};
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+      const recordOffset = 12 + i * 16;
+      const tag = buffer.toString("latin1", recordOffset, recordOffset + 4);
+      tables[tag] = buffer.readUInt32BE(recordOffset + 8);
+    }
+
+    // Collect names, preferring Windows English over Macintosh Roman
+    const names = {};
+    if (tables.name !== undefined) {
+      const nameOffset = tables.name;
+      const count = buffer.readUInt16BE(nameOffset + 2);
+      const storageOffset = nameOffset + buffer.readUInt16BE(nameOffset + 4);
+
+      for (let i = 0; i < count; i++) {
+        const record = nameOffset + 6 + i * 12;
+        const platformID = buffer.readUInt16BE(record);
+        const languageID = buffer.readUInt16BE(record + 4);
+        const nameID = buffer.readUInt16BE(record + 6);
+        const length = buffer.readUInt16BE(record + 8);
+        const offset = buffer.readUInt16BE(record + 10);
+
+        const isWindowsEnglish =
+          platformID === WINDOWS_PLATFORM && languageID === WINDOWS_ENGLISH;
+        const isMacintosh = platformID === MACINTOSH_PLATFORM;
+        if (!isWindowsEnglish && !(isMacintosh && !names[nameID])) {
+          continue;
+        }
+
+        const start = storageOffset + offset;
+        names[nameID] = decodeNameString(
+          buffer.subarray(start, start + length),
+          platformID
+        );
+      }
+    }
+
+    // Typographic family/subfamily (16/17) group weights under one family name
+    const family = (names[16] || names[1] || "").trim();
+    const subfamily = (names[17] || names[2] || "Regular").trim();
+
+    let weight = 400;
+    let italic = /italic|oblique/i.test(subfamily);
+    if (tables["OS/2"] !== undefined) {
+      weight = buffer.readUInt16BE(tables["OS/2"] + 4) || weight;
+      italic = italic || (buffer.readUInt16BE(tables["OS/2"] + 62) & 1) === 1;
+    }
+
+    if (!family) {
+      throw new Error("Font file has no family name");
+    }
+
+    return {
+      family,
+      subfamily,
+      weight: String(weight),
+      style: italic ? "italic" : "normal",
+    };
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new Error("Font file is truncated or corrupt");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Registry of fonts available to the canvas
+ *
+ * Every font is registered with its real family, weight and style so that
+ * `ctx.font` strings such as "600 55px Proxima Nova" resolve to the bundled
+ * file instead of silently falling back to a system font.
+ *
+ * The canvas font collection is shared by every thread of the process and is
+ * consulted on each draw, so a font registered after canvases exist (an
+ * upload) is used by the next render everywhere. Render workers therefore
+ * keep a registry only to know which families exist (registerWithCanvas:
+ * false) and leave registration to the main thread.
+ */
+class FontRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.uploadDir - Directory where uploaded fonts are stored
+   * @param {boolean} options.registerWithCanvas - Add faces to the canvas font collection
+   */
+  constructor({ uploadDir = null, registerWithCanvas = true } = {}) {
+    this.uploadDir = uploadDir;
+    this.registerWithCanvas = registerWithCanvas;
+    this.fonts = [];
+    // Canvas font keys by file path, to drop a face when its file is replaced
+    this.fontKeys = new Map();
+  }
+
+  /**
+   * Register bundled fonts and any previously uploaded fonts
+   *
+   * @returns {FontRegistry} This registry
+   */
+  loadAll() {
+    this.loadDirectory(BUNDLED_FONTS_DIR, "bundled");
+    if (this.uploadDir) {
+      this.loadDirectory(this.uploadDir, "uploaded");
+    }
+    return this;
+  }
+
+  /**
+   * Register every font file in a directory
+   *
+   * @param {string} dir - Directory to scan
+   * @param {string} source - "bundled" or "uploaded"
+   */
+  loadDirectory(dir, source) {
+    if (!fs.existsSync(dir)) {
+      return;
+    }
+
+    fs.readdirSync(dir)
+      .filter((file) =>
+        FONT_EXTENSIONS.includes(path.extname(file).toLowerCase())
+      )
+      .sort()
+      .forEach((file) => {
+        try {
+          this.registerFile(path.join(dir, file), source);
+        } catch (error) {
+          console.warn(`⚠️  Skipping font ${file}:`, error.message);
+        }
+      });
+  }
+
+  /**
+   * Register a single font file with the canvas
+   *
+   * @param {string} filePath - Path to a .ttf/.otf file
+   * @param {string} source - "bundled" or "uploaded"
+   * @returns {Object} Registered font entry
+   */
+  registerFile(filePath, source) {
+    const metadata = readFontMetadata(fs.readFileSync(filePath));
+
+    if (this.registerWithCanvas) {
+      if (this.fontKeys.has(filePath)) {
+        GlobalFonts.remove(this.fontKeys.get(filePath));
+        this.fontKeys.delete(filePath);
+      }
+
+      // Weight and style are read from the file; the family is registered as
+      // its typographic name so faces of one family share it
+      const key = GlobalFonts.registerFromPath(filePath, metadata.family);
+      if (!key) {
+        throw new Error("Font file could not be loaded");
+      }
+      this.fontKeys.set(filePath, key);
+    }
+
+    const entry = {
+      ...metadata,
+      file: path.basename(filePath),
+      source,
+    };
+    // Replace an earlier registration of the same file (a re-uploaded face)
+    this.fonts = this.fonts.filter(
+      (font) => !(font.source === source && font.file === entry.file)
+    );
+    this.fonts.push(entry);
+
+    if (this.registerWithCanvas) {
+      console.log(
+        `🔤 Registered font: ${metadata.family} ${metadata.weight} ${metadata.style} (${entry.file})`
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Validate, store and register an uploaded font
+   *
+   * @param {Buffer} buffer - Uploaded file contents
+   * @param {string} originalName - Uploaded file name (for the extension)
+   * @returns {Object} Registered font entry
+   */
+  addUploadedFont(buffer, originalName) {
+    if (!this.uploadDir) {
+      throw new Error("Font uploads are not enabled");
+    }
+
+    const extension = path.extname(originalName).toLowerCase();
+    if (!FONT_EXTENSIONS.includes(extension)) {
+      throw new Error(
+        "Unsupported font file. Only TrueType (.ttf) and OpenType (.otf) fonts are allowed."
+      );
+    }
+
+    const metadata = readFontMetadata(buffer);
+    const safeName = `${metadata.family}-${metadata.weight}-${metadata.style}`
+      .replace(/[^A-Za-z0-9_-]+/g, "-")
+      .toLowerCase();
+
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+    const filePath = path.join(this.uploadDir, `${safeName}${extension}`);
+    fs.writeFileSync(filePath, buffer);
+
+    return this.registerFile(filePath, "uploaded");
+  }
+
+  /**
+   * Check whether a family has at least one registered face
+   *
+   * @param {string} family - Family name (case-insensitive)
+   * @returns {boolean}
+   */
+  hasFamily(family) {
+    const wanted = String(family).trim().toLowerCase();
+    return this.fonts.some((font) => font.family.toLowerCase() === wanted);
+  }
+
+  /**
+   * List registered families with their available faces
+   *
+   * @returns {Object[]} Array of { family, faces: [{ weight, style, file, source }] }
+   */
+  listFamilies() {
+    const families = new Map();
+
+    this.fonts.forEach(({ family, weight, style, file, source }) => {
+      if (!families.has(family)) {
+        families.set(family, { family, faces: [] });
+      }
+      families.get(family).faces.push({ weight, style, file, source });
+    });
+
+    return [...families.values()];
+  }
+}
+
+module.exports = {
+  FontRegistry,
+  readFontMetadata,
+  BUNDLED_FONTS_DIR,
+};
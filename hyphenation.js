@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Hyphenation points for words that are too wide for a line
+ *
+ * Points are character offsets into a word, found with the bundled Liang
+ * patterns of the `hyphen` package (one module per language, e.g. "en-us",
+ * "de", "fr"); a hyphen is drawn at the end of the line when breaking there.
+ * The patterns are loaded from disk, so only the renderer hyphenates; safe
+ * points in URLs, handles and hashtags come from shared/line-breaking.js.
+ */
+const HYPHENATION_DIR = path.dirname(require.resolve("hyphen/package.json"));
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]+)*$/;
+
+const SOFT_HYPHEN = "\u00ad";
+
+// Words that look like links, handles or hashtags are never hyphenated
+const NON_WORD_PATTERN = /[/#@]|^www\./i;
+
+// Loaded hyphenators, keyed by language
+const hyphenators = new Map();
+
+/**
+ * Check whether bundled hyphenation patterns exist for a language
+ *
+ * @param {string} language - Language code, e.g. "en-us" or "de"
+ * @returns {boolean}
+ */
+function isHyphenationLanguage(language) {
+  const code = String(language).toLowerCase();
+  return (
+    LANGUAGE_PATTERN.test(code) &&
+    code !== "patterns" &&
+    fs.existsSync(path.join(HYPHENATION_DIR, code, "index.js"))
+  );
+}
+
+/**
+ * Load (once) the synchronous hyphenator for a language
+ *
+ * @param {string} language - Language code
+ * @returns {Function|null} hyphenateSync, or null for unknown languages
+ */
+function getHyphenator(language) {
+  const code = String(language).toLowerCase();
+  if (!hyphenators.has(code)) {
+    hyphenators.set(
+      code,
+      isHyphenationLanguage(code)
+        ? require(`hyphen/${code}`).hyphenateSync
+        : null
+    );
+  }
+  return hyphenators.get(code);
+}
+
+/**
+ * Hyphenation points of a word
+ *
+ * @param {string} word - Word to hyphenate
+ * @param {string} language - Language code
+ * @returns {Object[]} Break points { offset, hyphen: true }
+ */
+function getHyphenationPoints(word, language) {
+  const hyphenate = getHyphenator(language);
+  if (!hyphenate || NON_WORD_PATTERN.test(word)) {
+    return [];
+  }
+
+  const hyphenated = hyphenate(word, { hyphenChar: SOFT_HYPHEN });
+  const points = [];
+  let offset = 0;
+  for (const char of hyphenated) {
+    if (char === SOFT_HYPHEN && word[offset] !== SOFT_HYPHEN) {
+      points.push({ offset, hyphen: true });
+    } else {
+      offset += char.length;
+    }
+  }
+
+  return points.filter(
+    (point) => point.offset > 0 && point.offset < word.length
+  );
+}
+
+module.exports = {
+  isHyphenationLanguage,
+  getHyphenationPoints,
+};
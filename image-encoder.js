@@ -0,0 +1,118 @@
+/**
+ * Output image formats
+ *
+ * Every format is encoded by the canvas itself, straight from its pixels.
+ * `quality` (1-100) applies to the lossy formats
+ * only, each with its own default. With a `maxBytes` budget the encoder
+ * searches for the highest quality whose file fits, down to MIN_QUALITY.
+ */
+const OUTPUT_FORMATS = {
+  png: { mimeType: "image/png", extension: "png", defaultQuality: null },
+  jpeg: { mimeType: "image/jpeg", extension: "jpg", defaultQuality: 90 },
+  webp: { mimeType: "image/webp", extension: "webp", defaultQuality: 85 },
+  avif: { mimeType: "image/avif", extension: "avif", defaultQuality: 60 },
+};
+
+// Lowest quality tried when stepping down to meet maxBytes
+const MIN_QUALITY = 10;
+
+// rav1e speed preset for AVIF (1 slow - 10 fast); the default 4 takes about
+// four times as long for a file a few percent smaller
+const AVIF_SPEED = 6;
+
+// The AVIF encoder of @napi-rs/canvas 1.0 reads `quality` in reverse (100
+// gives the smallest, blurriest file), so requests are mapped onto its
+// scale. The dependency is pinned; check this when upgrading it.
+const toAvifEncoderQuality = (quality) => 100 - quality;
+
+/**
+ * Encode a canvas once at a fixed quality
+ *
+ * @param {Canvas} canvas - Rendered canvas
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @param {number|null} quality - 1-100 (ignored for PNG)
+ * @returns {Promise<Buffer>}
+ */
+async function encodeAtQuality(canvas, format, quality) {
+  switch (format) {
+    case "jpeg":
+      return canvas.toBuffer("image/jpeg", quality);
+    case "webp":
+      return canvas.encode("webp", quality);
+    case "avif":
+      return canvas.encode("avif", {
+        quality: toAvifEncoderQuality(quality),
+        speed: AVIF_SPEED,
+      });
+    case "png":
+    default:
+      return canvas.toBuffer("image/png");
+  }
+}
+
+/**
+ * Encode a canvas in the style's output format
+ * When the file exceeds maxBytes, lower qualities are tried (binary search)
+ * and the largest one that fits is kept; if none fits, the MIN_QUALITY
+ * encoding is returned with `fitsMaxBytes: false`. PNG is lossless, so it
+ * can only report whether it fits.
+ *
+ * @param {Canvas} canvas - Rendered canvas
+ * @param {Object} style - Resolved style (format, quality, maxBytes)
+ * @returns {Promise<{buffer: Buffer, output: Object}>} Encoded image and its encoding details
+ */
+async function encodeCanvas(canvas, style) {
+  const format = Object.hasOwn(OUTPUT_FORMATS, style.format)
+    ? style.format
+    : "png";
+  const { mimeType, extension, defaultQuality } = OUTPUT_FORMATS[format];
+  const lossy = defaultQuality !== null;
+  const requestedQuality = lossy ? style.quality || defaultQuality : null;
+  const withinBudget = (buffer) =>
+    !style.maxBytes || buffer.length <= style.maxBytes;
+
+  let quality = requestedQuality;
+  let buffer = await encodeAtQuality(canvas, format, quality);
+
+  if (lossy && !withinBudget(buffer) && requestedQuality > MIN_QUALITY) {
+    let low = MIN_QUALITY;
+    let high = requestedQuality - 1;
+    let best = null;
+    while (low <= high) {
+      const candidate = Math.floor((low + high) / 2);
+      const encoded = await encodeAtQuality(canvas, format, candidate);
+      if (withinBudget(encoded)) {
+        best = { buffer: encoded, quality: candidate };
+        low = candidate + 1;
+      } else {
+        high = candidate - 1;
+      }
+    }
+
+    // Nothing fits: keep the smallest file
+    const chosen = best || {
+      buffer: await encodeAtQuality(canvas, format, MIN_QUALITY),
+      quality: MIN_QUALITY,
+    };
+    buffer = chosen.buffer;
+    quality = chosen.quality;
+  }
+
+  return {
+    buffer,
+    output: {
+      format,
+      mimeType,
+      extension,
+      quality,
+      bytes: buffer.length,
+      maxBytes: style.maxBytes || null,
+      fitsMaxBytes: withinBudget(buffer),
+    },
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  encodeCanvas,
+};
@@ -0,0 +1,196 @@
+const axios = require("axios");
+
+/**
+ * Input images from an upload, a base64 string or a URL
+ *
+ * The type is always taken from the file's leading bytes, never from the
+ * file name, upload MIME type or the server's Content-Type header. URLs are
+ * only fetched from allowlisted hosts, within a size limit and a deadline,
+ * and redirects are not followed (they could leave the allowlist).
+ */
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10MB, same as uploads
+
+const DEFAULT_FETCH_TIMEOUT_MS = 10000;
+
+// Leading bytes of the accepted image types
+const IMAGE_SIGNATURES = [
+  { mimeType: "image/png", extension: "png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: "image/jpeg", extension: "jpg", bytes: [0xff, 0xd8, 0xff] },
+  // "RIFF" <size> "WEBP"
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    bytes: [0x52, 0x49, 0x46, 0x46],
+    tag: { offset: 8, text: "WEBP" },
+  },
+];
+
+const DATA_URL_PATTERN = /^data:[^;,]*;base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+/**
+ * Detect the image type from a buffer's magic bytes
+ *
+ * @param {Buffer} buffer - Image contents
+ * @returns {{mimeType: string, extension: string}|null} Null for unsupported data
+ */
+function sniffImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(
+    ({ bytes, tag }) =>
+      buffer.length >= bytes.length &&
+      bytes.every((byte, index) => buffer[index] === byte) &&
+      (!tag ||
+        buffer.toString("latin1", tag.offset, tag.offset + tag.text.length) ===
+          tag.text)
+  );
+  return signature
+    ? { mimeType: signature.mimeType, extension: signature.extension }
+    : null;
+}
+
+/**
+ * Decode a base64 image, with or without a data URL prefix
+ *
+ * @param {string} value - Base64 string or "data:image/...;base64,..."
+ * @returns {Buffer|null} Decoded bytes, or null when the value is not base64
+ */
+function decodeBase64Image(value) {
+  const base64 = String(value)
+    .replace(DATA_URL_PATTERN, "")
+    .replace(/\s+/g, "");
+  if (base64.length === 0 || !BASE64_PATTERN.test(base64)) {
+    return null;
+  }
+  return Buffer.from(base64, "base64");
+}
+
+/**
+ * Parse a comma-separated host allowlist
+ * "cdn.example.com" matches that host only; "*.example.com" matches its
+ * subdomains as well.
+ *
+ * @param {string} value - e.g. process.env.IMAGE_URL_ALLOWED_HOSTS
+ * @returns {string[]} Lowercase entries
+ */
+function parseAllowedHosts(value) {
+  return String(value || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check a hostname against an allowlist
+ *
+ * @param {string} hostname - URL hostname
+ * @param {string[]} allowedHosts - Entries from parseAllowedHosts
+ * @returns {boolean}
+ */
+function isHostAllowed(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some((entry) =>
+    entry.startsWith("*.")
+      ? host === entry.slice(2) || host.endsWith(entry.slice(1))
+      : host === entry
+  );
+}
+
+/**
+ * Download an image from an allowlisted URL
+ *
+ * @param {string} url - http(s) URL
+ * @param {Object} limits
+ * @param {string[]} limits.allowedHosts - Hosts that may be fetched
+ * @param {number} limits.maxBytes - Largest accepted response body
+ * @param {number} limits.timeoutMs - Deadline for the whole download
+ * @returns {Promise<{buffer: Buffer|null, status: number, error: string|null}>}
+ *   The body, or an HTTP status and message describing why it was refused
+ */
+async function fetchImageUrl(
+  url,
+  {
+    allowedHosts,
+    maxBytes = MAX_IMAGE_BYTES,
+    timeoutMs = DEFAULT_FETCH_TIMEOUT_MS,
+  }
+) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (urlError) {
+    return { buffer: null, status: 400, error: '"imageUrl" is not a URL' };
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return {
+      buffer: null,
+      status: 400,
+      error: '"imageUrl" must be an http or https URL',
+    };
+  }
+
+  if (allowedHosts.length === 0) {
+    return {
+      buffer: null,
+      status: 403,
+      error:
+        "Image URLs are disabled. Set IMAGE_URL_ALLOWED_HOSTS to allow hosts",
+    };
+  }
+
+  if (!isHostAllowed(parsed.hostname, allowedHosts)) {
+    return {
+      buffer: null,
+      status: 403,
+      error: `Host "${parsed.hostname}" is not in IMAGE_URL_ALLOWED_HOSTS`,
+    };
+  }
+
+  try {
+    const response = await axios.get(parsed.href, {
+      responseType: "arraybuffer",
+      maxContentLength: maxBytes,
+      maxRedirects: 0,
+      timeout: timeoutMs,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return { buffer: Buffer.from(response.data), status: 200, error: null };
+  } catch (error) {
+    if (error.response) {
+      return {
+        buffer: null,
+        status: 502,
+        error: `Image URL responded with HTTP ${error.response.status}`,
+      };
+    }
+    if (/maxContentLength/.test(error.message)) {
+      return {
+        buffer: null,
+        status: 413,
+        error: `Image is larger than ${maxBytes} bytes`,
+      };
+    }
+    if (axios.isCancel(error) || error.code === "ECONNABORTED") {
+      return {
+        buffer: null,
+        status: 504,
+        error: `Image URL did not respond within ${timeoutMs}ms`,
+      };
+    }
+    return {
+      buffer: null,
+      status: 502,
+      error: `Image URL could not be fetched: ${error.message}`,
+    };
+  }
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  DEFAULT_FETCH_TIMEOUT_MS,
+  sniffImageType,
+  decodeBase64Image,
+  parseAllowedHosts,
+  isHostAllowed,
+  fetchImageUrl,
+};
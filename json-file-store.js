@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * A JSON object of named entries persisted to one file
+ *
+ * Backs the preset and template stores. Entry names come from requests, so
+ * entries are loaded into a prototype-less object: callers look them up as
+ * own properties only ("constructor" is never an entry).
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - JSON file holding the entries
+   * @param {string} label - What the entries are, for log messages (e.g. "presets")
+   */
+  constructor(filePath, label) {
+    this.filePath = filePath;
+    this.label = label;
+  }
+
+  /**
+   * Read the entries (missing or unreadable files start empty)
+   *
+   * @returns {Object} Entries keyed by name (null prototype)
+   */
+  read() {
+    const entries = Object.create(null);
+    if (!fs.existsSync(this.filePath)) {
+      return entries;
+    }
+
+    try {
+      return Object.assign(
+        entries,
+        JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+      );
+    } catch (error) {
+      console.warn(
+        `Failed to load ${this.label} from ${this.filePath}:`,
+        error.message
+      );
+      return entries;
+    }
+  }
+
+  /**
+   * Write the entries atomically (temp file + rename)
+   *
+   * @param {Object} entries - Entries keyed by name
+   */
+  write(entries) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entries, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = { JsonFileStore };
@@ -0,0 +1,79 @@
+const { JsonFileStore } = require("./json-file-store");
+
+/**
+ * Named rendering presets persisted to a JSON file
+ *
+ * Presets replace the old global `/api/configure` mutation: a preset is a
+ * saved set of style options that a render request opts into by name, so
+ * one account's settings never leak into another account's renders.
+ *
+ * Names come from requests, so presets are looked up as own properties only
+ * ("constructor" is not a preset); see JsonFileStore.
+ */
+class PresetStore {
+  /**
+   * @param {string} filePath - JSON file used to persist presets
+   */
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, "presets");
+    this.presets = this.file.read();
+  }
+
+  /**
+   * List all presets
+   *
+   * @returns {Object[]} Array of { name, style, updatedAt }
+   */
+  list() {
+    return Object.entries(this.presets).map(([name, preset]) => ({
+      name,
+      ...preset,
+    }));
+  }
+
+  /**
+   * Get a single preset by name
+   *
+   * @param {string} name - Preset name
+   * @returns {Object|null} { name, style, updatedAt } or null when unknown
+   */
+  get(name) {
+    return Object.hasOwn(this.presets, name)
+      ? { name, ...this.presets[name] }
+      : null;
+  }
+
+  /**
+   * Create or replace a preset
+   *
+   * @param {string} name - Preset name
+   * @param {Object} style - Style options stored for the preset
+   * @returns {Object} Saved preset
+   */
+  save(name, style) {
+    this.presets[name] = {
+      style: { ...style },
+      updatedAt: new Date().toISOString(),
+    };
+    this.file.write(this.presets);
+    return this.get(name);
+  }
+
+  /**
+   * Delete a preset
+   *
+   * @param {string} name - Preset name
+   * @returns {boolean} True when a preset was removed
+   */
+  remove(name) {
+    if (!Object.hasOwn(this.presets, name)) {
+      return false;
+    }
+
+    delete this.presets[name];
+    this.file.write(this.presets);
+    return true;
+  }
+}
+
+module.exports = { PresetStore };
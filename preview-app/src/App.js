@@ -5,53 +5,198 @@ import {
   Rect,
   Text,
   Group,
+  Shape,
   Image as KonvaImage,
 } from "react-konva";
+import Konva from "konva";
+import {
+  buildConnectedBubblePath,
+  tracePath,
+  ANCHOR_POINTS,
+  SAFE_ZONE_PROFILES,
+  getSafeZones,
+  REFERENCE_WIDTH,
+  REFERENCE_HEIGHT,
+  WRAP_MODES,
+  LAYOUT_DEFAULTS,
+  splitTextByNewlines,
+  hasExplicitBreaks,
+  getMaxTextWidth,
+  wrapWords,
+  layoutLines,
+  splitWords,
+  getSafeBreakPoints,
+  breakLongWord,
+  calculateCoverRect,
+  calculateContainRect,
+} from "tiktok-overlay-shared";
 import "./App.css";
 
-// TikTok canvas dimensions (same as API)
+// TikTok canvas dimensions (the API's reference canvas)
 const CANVAS_CONFIG = {
-  width: 1024,
-  height: 1536,
+  width: REFERENCE_WIDTH,
+  height: REFERENCE_HEIGHT,
   // Scale factor for preview display
   previewScale: 0.35,
 };
 
-// Default configuration matching the API
+// Default configuration: layout defaults come from the shared engine the API
+// renders with
 const DEFAULT_CONFIG = {
-  fontSize: 65,
+  ...LAYOUT_DEFAULTS,
   fontFamily: "Proxima Nova, Arial, sans-serif",
   fontWeight: "600",
   textColor: "#131313",
   bubbleColor: "#FFFFFF",
   bubbleOpacity: 1,
-  bubblePadding: 20,
-  horizontalPadding: 26,
-  bubbleRadius: 25,
-  maxWidth: 900,
-  lineHeight: 1.2,
-  position: "bottom",
+  bubbleShape: "separate",
+  fit: "cover",
+  focalX: 0.5,
+  focalY: 0.5,
+  letterboxColor: "#000000",
+  blurRadius: 40,
 };
 
-// TikTok UI safe zones (approximate positions based on TikTok app layout)
-const TIKTOK_UI_ZONES = {
-  // Top UI elements (profile, follow button, etc.)
-  topSafeZone: {
-    y: 0,
-    height: 120, // First 120px from top
-  },
-  // Bottom UI elements (like, comment, share buttons, description)
-  bottomSafeZone: {
-    y: 1200, // Last 336px from bottom
-    height: 336,
-  },
-  // Right side UI (like, comment, share, profile buttons)
-  rightSafeZone: {
-    x: 870, // Last 154px from right
-    width: 154,
-  },
+// Canvas fill when no image is uploaded (sent to the server render as well)
+const PLACEHOLDER_BACKGROUND = "#667eea";
+
+// API used by the server render mode (the dev server proxies /api to :3000)
+const API_BASE_URL = process.env.REACT_APP_API_URL || "";
+
+// Server render mode: wait for a pause in editing before calling the API
+const SERVER_RENDER_DEBOUNCE_MS = 400;
+
+// Style options the server render receives; font family and weight are left
+// to the API's registered font, which is the point of comparing
+const SERVER_STYLE_KEYS = [
+  "fontSize",
+  "lineHeight",
+  "textColor",
+  "bubbleColor",
+  "bubbleOpacity",
+  "bubblePadding",
+  "horizontalPadding",
+  "bubbleRadius",
+  "bubbleShape",
+  "bubbleInnerRadius",
+  "position",
+  "x",
+  "y",
+  "anchor",
+  "textAlign",
+  "safeZone",
+  "wrap",
+  "avoidOrphans",
+  "fit",
+  "focalX",
+  "focalY",
+  "letterboxColor",
+  "blurRadius",
+];
+
+// A pixel counts as different when any channel differs by more than this
+const DIFF_THRESHOLD = 32;
+
+/**
+ * Paint the pixel differences between the live canvas and the server render
+ * Differing pixels are red over a faded copy of the server render.
+ *
+ * @param {HTMLCanvasElement} live - Konva content layer
+ * @param {HTMLImageElement} server - Loaded server render
+ * @param {HTMLCanvasElement} target - Canvas the diff is drawn on
+ * @returns {number} Fraction of pixels that differ
+ */
+const diffImages = (live, server, target) => {
+  const width = server.naturalWidth;
+  const height = server.naturalHeight;
+  const readPixels = (source) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(source, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const livePixels = readPixels(live);
+  const serverPixels = readPixels(server);
+
+  target.width = width;
+  target.height = height;
+  const ctx = target.getContext("2d");
+  const diff = ctx.createImageData(width, height);
+
+  let changed = 0;
+  for (let i = 0; i < serverPixels.length; i += 4) {
+    const delta = Math.max(
+      Math.abs(livePixels[i] - serverPixels[i]),
+      Math.abs(livePixels[i + 1] - serverPixels[i + 1]),
+      Math.abs(livePixels[i + 2] - serverPixels[i + 2])
+    );
+    if (delta > DIFF_THRESHOLD) {
+      changed++;
+      diff.data.set([255, 0, 64, 255], i);
+    } else {
+      const luma =
+        0.299 * serverPixels[i] +
+        0.587 * serverPixels[i + 1] +
+        0.114 * serverPixels[i + 2];
+      const faded = 255 - (255 - luma) * 0.3;
+      diff.data.set([faded, faded, faded, 255], i);
+    }
+  }
+
+  ctx.putImageData(diff, 0, 0);
+  return changed / (width * height);
+};
+
+// Background fit geometry from the shared engine, as Konva crop/rect props
+const getCoverCrop = (image, focalX, focalY) => {
+  const { sx, sy, sWidth, sHeight } = calculateCoverRect(
+    image.width,
+    image.height,
+    CANVAS_CONFIG.width,
+    CANVAS_CONFIG.height,
+    focalX,
+    focalY
+  );
+  return { x: sx, y: sy, width: sWidth, height: sHeight };
+};
+
+const getContainRect = (image) => {
+  const { dx, dy, dWidth, dHeight } = calculateContainRect(
+    image.width,
+    image.height,
+    CANVAS_CONFIG.width,
+    CANVAS_CONFIG.height
+  );
+  return { x: dx, y: dy, width: dWidth, height: dHeight };
 };
 
+// Cover-fitted image with a Konva blur filter (used behind 'blur-fill')
+function BlurredCoverImage({ image, blurRadius }) {
+  const imageRef = useRef(null);
+
+  useEffect(() => {
+    if (imageRef.current) {
+      imageRef.current.cache();
+    }
+  }, [image, blurRadius]);
+
+  return (
+    <KonvaImage
+      ref={imageRef}
+      image={image}
+      crop={getCoverCrop(image, 0.5, 0.5)}
+      x={0}
+      y={0}
+      width={CANVAS_CONFIG.width}
+      height={CANVAS_CONFIG.height}
+      filters={[Konva.Filters.Blur]}
+      blurRadius={blurRadius}
+    />
+  );
+}
+
 function App() {
   const [config, setConfig] = useState(DEFAULT_CONFIG);
   const [text, setText] = useState(
@@ -60,49 +205,14 @@ function App() {
   const [backgroundImage, setBackgroundImage] = useState(null);
   const [konvaImage, setKonvaImage] = useState(null);
   const [showSafeZones, setShowSafeZones] = useState(true);
+  const [serverRender, setServerRender] = useState(false);
+  const [serverRenderUrl, setServerRenderUrl] = useState(null);
+  const [serverRenderError, setServerRenderError] = useState(null);
+  const [diffRatio, setDiffRatio] = useState(null);
   const fileInputRef = useRef();
   const textMeasureCanvasRef = useRef(null);
-
-  console.log("config.fontSize", config.fontSize);
-
-  // Function to split text by newlines (same as API)
-  const splitTextByNewlines = (inputText) => {
-    // Handle both \n and \\n patterns
-    const processedText = inputText.replace(/\\n/g, "\n");
-    return processedText.split("\n").filter((line) => line.trim().length > 0);
-  };
-
-  // Calculate text metrics (same logic as API)
-  const calculateTextMetrics = (lines) => {
-    return {
-      lines: lines,
-      lineHeight: config.fontSize * config.lineHeight,
-      totalHeight: lines.length * config.fontSize * config.lineHeight,
-    };
-  };
-
-  // Calculate vertical position (same logic as API)
-  const calculateVerticalPosition = (
-    canvasHeight,
-    totalTextHeight,
-    lineCount
-  ) => {
-    const lineHeight = config.fontSize * config.lineHeight;
-    const bubbleHeight = lineHeight + config.bubblePadding * 2;
-    const overlapBetweenBubbles = 10;
-    const totalBubbleHeight =
-      lineCount * bubbleHeight - (lineCount - 1) * overlapBetweenBubbles;
-
-    switch (config.position) {
-      case "top":
-        return canvasHeight * 0.15;
-      case "bottom":
-        return canvasHeight * 0.85 - totalBubbleHeight;
-      case "center":
-      default:
-        return (canvasHeight - totalBubbleHeight) / 2;
-    }
-  };
+  const contentLayerRef = useRef(null);
+  const diffCanvasRef = useRef(null);
 
   // Initialize text measurement canvas
   useEffect(() => {
@@ -113,13 +223,78 @@ function App() {
     }
   }, []);
 
-  // Measure text width using canvas (same as API)
-  const measureTextWidth = (text, fontSize, fontFamily, fontWeight) => {
-    if (!textMeasureCanvasRef.current) return text.length * (fontSize * 0.6);
+  // Server render mode: re-render on the API after each pause in editing
+  useEffect(() => {
+    if (!serverRender) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const body = { text };
+      SERVER_STYLE_KEYS.forEach((key) => {
+        if (config[key] !== null && config[key] !== undefined) {
+          body[key] = config[key];
+        }
+      });
+      if (backgroundImage) {
+        body.imageBase64 = backgroundImage;
+      } else {
+        body.letterboxColor = PLACEHOLDER_BACKGROUND;
+      }
+      body.scale = CANVAS_CONFIG.previewScale;
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/preview-render`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          const failure = await response.json();
+          throw new Error(failure.message || failure.error);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        setServerRenderUrl((previous) => {
+          if (previous) URL.revokeObjectURL(previous);
+          return url;
+        });
+        setServerRenderError(null);
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          setServerRenderError(error.message);
+        }
+      }
+    }, SERVER_RENDER_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [serverRender, config, text, backgroundImage]);
+
+  // Diff the live canvas (without the safe zone overlay) against the server render
+  const handleServerRenderLoad = (event) => {
+    if (!contentLayerRef.current || !diffCanvasRef.current) return;
+
+    const live = contentLayerRef.current.toCanvas({
+      x: 0,
+      y: 0,
+      width: CANVAS_CONFIG.width * CANVAS_CONFIG.previewScale,
+      height: CANVAS_CONFIG.height * CANVAS_CONFIG.previewScale,
+      pixelRatio: 1,
+    });
+    setDiffRatio(diffImages(live, event.target, diffCanvasRef.current));
+  };
+
+  // Measure a line with the browser canvas (the measurer for the layout engine)
+  const measureTextWidth = (line) => {
+    if (!textMeasureCanvasRef.current) {
+      return line.length * (config.fontSize * 0.6);
+    }
 
     const ctx = textMeasureCanvasRef.current.getContext("2d");
-    ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
-    return ctx.measureText(text).width;
+    ctx.font = `${config.fontWeight} ${config.fontSize}px ${config.fontFamily}`;
+    return ctx.measureText(line).width;
   };
 
   // Handle image upload
@@ -139,205 +314,194 @@ function App() {
     reader.readAsDataURL(file);
   };
 
-  // Calculate line positions (same logic as API)
-  const calculateLinePositions = () => {
-    const lines = splitTextByNewlines(text);
-    if (lines.length === 0) return [];
-
-    const textMetrics = calculateTextMetrics(lines);
-    const lineHeight = config.fontSize * config.lineHeight;
-    const bubbleHeight = lineHeight + config.bubblePadding * 2;
-    const gapBetweenBubbles = -10;
-
-    const startY =
-      calculateVerticalPosition(
-        CANVAS_CONFIG.height,
-        textMetrics.totalHeight,
-        textMetrics.lines.length
-      ) - 50;
-
-    return lines.map((line, index) => {
-      // Calculate bubble dimensions for this specific line using accurate text measurement
-      const lineWidth = measureTextWidth(
-        line,
-        config.fontSize,
-        config.fontFamily,
-        config.fontWeight
-      );
-      const isFirstLine = index === 0;
-      const extraPadding = isFirstLine ? 0 : 0;
-      const bubbleWidth =
-        lineWidth + (config.horizontalPadding + extraPadding) * 2;
-      const actualBubbleHeight =
-        lineHeight + (config.bubblePadding + extraPadding) * 2;
-
-      // Calculate bubble position
-      const bubbleX = (CANVAS_CONFIG.width - bubbleWidth) / 2;
-      const bubbleY = startY + index * (bubbleHeight + gapBetweenBubbles);
-
-      return {
-        line,
-        index,
-        lineWidth,
-        bubbleX,
-        bubbleY,
-        bubbleWidth,
-        actualBubbleHeight,
-        extraPadding,
-        lineHeight,
-      };
-    });
+  // Split a wrapped line that is still too wide (a single long word) at the
+  // API's safe break points, else between grapheme clusters
+  const breakWideLine = (line) => {
+    const maxTextWidth = getMaxTextWidth(config);
+    if (measureTextWidth(line) <= maxTextWidth) return [line];
+
+    return breakLongWord(
+      line,
+      maxTextWidth,
+      (start, end, hyphen) =>
+        measureTextWidth(line.slice(start, end) + (hyphen ? "-" : "")),
+      getSafeBreakPoints(line)
+    ).map(({ start, end }) => line.slice(start, end));
+  };
+
+  // Wrap and place the lines with the same engine as the API (words split at
+  // Unicode line break opportunities, each keeping its trailing space)
+  const calculateLayout = () => {
+    const joinWords = (words) => words.join("").trimEnd();
+    const lines = hasExplicitBreaks(text)
+      ? splitTextByNewlines(text)
+      : wrapWords(
+          splitWords(text),
+          (words) => measureTextWidth(joinWords(words)),
+          config
+        )
+          .map(joinWords)
+          .flatMap(breakWideLine);
+
+    return layoutLines(lines, config, { measure: measureTextWidth });
   };
 
   // Render all bubble backgrounds (back layer)
   const renderBubbleBackgrounds = () => {
-    const positions = calculateLinePositions();
-
-    return positions.map(
-      ({ index, bubbleX, bubbleY, bubbleWidth, actualBubbleHeight }) => (
-        <Rect
-          key={`bubble-${index}`}
-          x={bubbleX}
-          y={bubbleY}
-          width={bubbleWidth}
-          height={actualBubbleHeight}
+    const { lines } = calculateLayout();
+
+    // One merged outline, traced with the same path commands as the API
+    if (config.bubbleShape === "connected") {
+      const commands = buildConnectedBubblePath(
+        lines.map(({ bubble }) => bubble),
+        { radius: config.bubbleRadius, innerRadius: config.bubbleInnerRadius }
+      );
+
+      return (
+        <Shape
+          key="bubble-connected"
+          sceneFunc={(context, shape) => {
+            context.beginPath();
+            tracePath(context, commands);
+            context.fillStrokeShape(shape);
+          }}
           fill={config.bubbleColor}
           opacity={config.bubbleOpacity}
-          cornerRadius={config.bubbleRadius}
         />
-      )
-    );
-  };
-
-  // Calculate dynamic vertical adjustment based on font size and line height
-  const calculateVerticalAdjustment = (fontSize, lineHeight) => {
-    // Base: at 55px font size and 0.75 line height, we use -17 adjustment
-    const baseFontSize = 55;
-    const baseLineHeight = 0.75;
-    const baseAdjustment = -20;
-
-    // Font size scaling: larger fonts need more upward adjustment
-    const fontScalingFactor = baseAdjustment / baseFontSize; // -0.309 per font pixel
-    const fontAdjustment = fontSize * fontScalingFactor * 0.7;
-
-    // Line height scaling: LARGER line height needs LESS upward adjustment
-    // Because larger line height creates more space, so text naturally sits lower
-    const lineHeightDifference = lineHeight - baseLineHeight; // difference from base
-    const lineHeightAdjustment = lineHeightDifference * 10 * -2; // positive for larger line heights
+      );
+    }
 
-    // Return combined adjustment
-    return Math.round(fontAdjustment - lineHeightAdjustment);
+    return lines.map(({ index, bubble }) => (
+      <Rect
+        key={`bubble-${index}`}
+        x={bubble.x}
+        y={bubble.y}
+        width={bubble.width}
+        height={bubble.height}
+        fill={config.bubbleColor}
+        opacity={config.bubbleOpacity}
+        cornerRadius={bubble.radius}
+      />
+    ));
   };
 
-  // Render all text (front layer)
+  // Render all text (front layer), centered on the engine's text points like
+  // the API's "middle" baseline
   const renderTextForeground = () => {
-    const positions = calculateLinePositions();
+    const { lines } = calculateLayout();
+
+    return lines.map(({ line, index, lineWidth, textX, textY }) => (
+      <Text
+        key={`text-${index}`}
+        x={textX - lineWidth / 2}
+        y={textY - config.fontSize / 2}
+        width={lineWidth}
+        height={config.fontSize}
+        text={line}
+        fontSize={config.fontSize}
+        fontFamily={config.fontFamily}
+        fontStyle={config.fontWeight}
+        fill={config.textColor}
+        align="center"
+        verticalAlign="middle"
+        wrap="none"
+      />
+    ));
+  };
 
-    return positions.map(
-      ({ line, index, bubbleY, extraPadding, lineWidth, lineHeight }) => {
-        const verticalAdjustment = calculateVerticalAdjustment(
-          config.fontSize,
-          config.lineHeight
+  // Render background image using the selected fit mode (same as API)
+  const renderBackground = () => {
+    switch (config.fit) {
+      case "cover":
+        return (
+          <KonvaImage
+            image={konvaImage}
+            crop={getCoverCrop(konvaImage, config.focalX, config.focalY)}
+            x={0}
+            y={0}
+            width={CANVAS_CONFIG.width}
+            height={CANVAS_CONFIG.height}
+          />
         );
-
+      case "contain":
+        return (
+          <Group>
+            <Rect
+              x={0}
+              y={0}
+              width={CANVAS_CONFIG.width}
+              height={CANVAS_CONFIG.height}
+              fill={config.letterboxColor}
+            />
+            <KonvaImage image={konvaImage} {...getContainRect(konvaImage)} />
+          </Group>
+        );
+      case "blur-fill":
         return (
-          <Text
-            key={`text-${index}`}
-            x={CANVAS_CONFIG.width / 2}
-            y={
-              bubbleY +
-              (config.bubblePadding + extraPadding) +
-              lineHeight / 2 +
-              verticalAdjustment
-            }
-            text={line}
-            fontSize={config.fontSize}
-            fontFamily={config.fontFamily}
-            fontStyle={config.fontWeight}
-            fill={config.textColor}
-            align="center"
-            verticalAlign="middle"
-            offsetX={lineWidth / 2}
-            offsetY={lineHeight / 4}
+          <Group>
+            <BlurredCoverImage
+              image={konvaImage}
+              blurRadius={config.blurRadius}
+            />
+            <KonvaImage image={konvaImage} {...getContainRect(konvaImage)} />
+          </Group>
+        );
+      case "stretch":
+      default:
+        return (
+          <KonvaImage
+            image={konvaImage}
+            x={0}
+            y={0}
+            width={CANVAS_CONFIG.width}
+            height={CANVAS_CONFIG.height}
           />
         );
-      }
-    );
+    }
   };
 
-  // Render TikTok UI safe zones
+  // Render the UI safe zones of the selected profile
   const renderSafeZones = () => {
     if (!showSafeZones) return null;
 
+    const { zones } = getSafeZones(
+      config.safeZone,
+      CANVAS_CONFIG.width,
+      CANVAS_CONFIG.height
+    );
+
     return (
       <Group>
-        {/* Top safe zone */}
-        <Rect
-          x={0}
-          y={TIKTOK_UI_ZONES.topSafeZone.y}
-          width={CANVAS_CONFIG.width}
-          height={TIKTOK_UI_ZONES.topSafeZone.height}
-          fill="rgba(255, 0, 0, 0.2)"
-          stroke="red"
-          strokeWidth={2}
-          dash={[10, 5]}
-        />
-
-        {/* Bottom safe zone */}
-        <Rect
-          x={0}
-          y={TIKTOK_UI_ZONES.bottomSafeZone.y}
-          width={CANVAS_CONFIG.width}
-          height={TIKTOK_UI_ZONES.bottomSafeZone.height}
-          fill="rgba(255, 0, 0, 0.2)"
-          stroke="red"
-          strokeWidth={2}
-          dash={[10, 5]}
-        />
-
-        {/* Right safe zone */}
-        <Rect
-          x={TIKTOK_UI_ZONES.rightSafeZone.x}
-          y={0}
-          width={TIKTOK_UI_ZONES.rightSafeZone.width}
-          height={CANVAS_CONFIG.height}
-          fill="rgba(255, 0, 0, 0.2)"
-          stroke="red"
-          strokeWidth={2}
-          dash={[10, 5]}
-        />
-
-        {/* Safe zone labels */}
-        <Text
-          x={50}
-          y={60}
-          text="TOP UI ZONE"
-          fontSize={16}
-          fontFamily="Arial"
-          fill="red"
-          fontStyle="bold"
-        />
-
-        <Text
-          x={50}
-          y={1250}
-          text="BOTTOM UI ZONE\n(Like, Comment, Share)"
-          fontSize={16}
-          fontFamily="Arial"
-          fill="red"
-          fontStyle="bold"
-        />
+        {zones.map((zone) => (
+          <Group key={zone.edge}>
+            <Rect
+              x={zone.x}
+              y={zone.y}
+              width={zone.width}
+              height={zone.height}
+              fill="rgba(255, 0, 0, 0.2)"
+              stroke="red"
+              strokeWidth={2}
+              dash={[10, 5]}
+            />
 
-        <Text
-          x={880}
-          y={400}
-          text="RIGHT UI"
-          fontSize={14}
-          fontFamily="Arial"
-          fill="red"
-          fontStyle="bold"
-          rotation={90}
-        />
+            {/* Safe zone label */}
+            <Text
+              x={zone.edge === "right" ? zone.x + 30 : zone.x + 50}
+              y={
+                zone.edge === "left" || zone.edge === "right"
+                  ? 400
+                  : zone.y + Math.min(60, zone.height / 2)
+              }
+              text={`${zone.edge.toUpperCase()} UI ZONE`}
+              fontSize={16}
+              fontFamily="Arial"
+              fill="red"
+              fontStyle="bold"
+              rotation={zone.edge === "left" || zone.edge === "right" ? 90 : 0}
+            />
+          </Group>
+        ))}
       </Group>
     );
   };
@@ -377,6 +541,92 @@ function App() {
                 Upload an image to see the overlay preview
               </p>
             )}
+
+            <div className="control-group">
+              <label>Fit:</label>
+              <select
+                value={config.fit}
+                onChange={(e) => setConfig({ ...config, fit: e.target.value })}
+                className="select-input"
+              >
+                <option value="cover">Cover (crop)</option>
+                <option value="contain">Contain (letterbox)</option>
+                <option value="blur-fill">Blur fill</option>
+                <option value="stretch">Stretch</option>
+              </select>
+            </div>
+
+            {config.fit === "cover" && (
+              <>
+                <div className="control-group">
+                  <label>Focal Point X: {config.focalX}</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={config.focalX}
+                    onChange={(e) =>
+                      setConfig({
+                        ...config,
+                        focalX: parseFloat(e.target.value),
+                      })
+                    }
+                    className="range-input"
+                  />
+                </div>
+
+                <div className="control-group">
+                  <label>Focal Point Y: {config.focalY}</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={config.focalY}
+                    onChange={(e) =>
+                      setConfig({
+                        ...config,
+                        focalY: parseFloat(e.target.value),
+                      })
+                    }
+                    className="range-input"
+                  />
+                </div>
+              </>
+            )}
+
+            {config.fit === "contain" && (
+              <div className="control-group">
+                <label>Letterbox Color:</label>
+                <input
+                  type="color"
+                  value={config.letterboxColor}
+                  onChange={(e) =>
+                    setConfig({ ...config, letterboxColor: e.target.value })
+                  }
+                />
+              </div>
+            )}
+
+            {config.fit === "blur-fill" && (
+              <div className="control-group">
+                <label>Blur Radius: {config.blurRadius}px</label>
+                <input
+                  type="range"
+                  min="5"
+                  max="100"
+                  value={config.blurRadius}
+                  onChange={(e) =>
+                    setConfig({
+                      ...config,
+                      blurRadius: parseInt(e.target.value),
+                    })
+                  }
+                  className="range-input"
+                />
+              </div>
+            )}
           </div>
 
           <div className="control-section">
@@ -429,6 +679,100 @@ function App() {
               </select>
             </div>
 
+            <div className="control-group">
+              <label>Wrap:</label>
+              <select
+                value={config.wrap}
+                onChange={(e) => setConfig({ ...config, wrap: e.target.value })}
+                className="select-input"
+              >
+                {WRAP_MODES.map((mode) => (
+                  <option key={mode} value={mode}>
+                    {mode}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={config.x !== null}
+                onChange={(e) =>
+                  setConfig({
+                    ...config,
+                    x: e.target.checked ? "50%" : null,
+                    y: e.target.checked ? "50%" : null,
+                  })
+                }
+              />
+              Anchor at X/Y
+            </label>
+
+            {config.x !== null && (
+              <>
+                <div className="control-group">
+                  <label>X: {config.x}</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    value={parseFloat(config.x)}
+                    onChange={(e) =>
+                      setConfig({ ...config, x: `${e.target.value}%` })
+                    }
+                    className="range-input"
+                  />
+                </div>
+
+                <div className="control-group">
+                  <label>Y: {config.y}</label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    value={parseFloat(config.y)}
+                    onChange={(e) =>
+                      setConfig({ ...config, y: `${e.target.value}%` })
+                    }
+                    className="range-input"
+                  />
+                </div>
+
+                <div className="control-group">
+                  <label>Anchor:</label>
+                  <select
+                    value={config.anchor}
+                    onChange={(e) =>
+                      setConfig({ ...config, anchor: e.target.value })
+                    }
+                    className="select-input"
+                  >
+                    {Object.keys(ANCHOR_POINTS).map((anchor) => (
+                      <option key={anchor} value={anchor}>
+                        {anchor}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+
+            <div className="control-group">
+              <label>Text Align:</label>
+              <select
+                value={config.textAlign}
+                onChange={(e) =>
+                  setConfig({ ...config, textAlign: e.target.value })
+                }
+                className="select-input"
+              >
+                <option value="left">Left</option>
+                <option value="center">Center</option>
+                <option value="right">Right</option>
+              </select>
+            </div>
+
             <div className="control-group">
               <label>Bubble Radius: {config.bubbleRadius}px</label>
               <input
@@ -445,63 +789,145 @@ function App() {
                 className="range-input"
               />
             </div>
+
+            <div className="control-group">
+              <label>Bubble Shape:</label>
+              <select
+                value={config.bubbleShape}
+                onChange={(e) =>
+                  setConfig({ ...config, bubbleShape: e.target.value })
+                }
+                className="select-input"
+              >
+                <option value="separate">Separate</option>
+                <option value="connected">Connected</option>
+              </select>
+            </div>
+
+            {config.bubbleShape === "connected" && (
+              <div className="control-group">
+                <label>Inner Radius: {config.bubbleInnerRadius}px</label>
+                <input
+                  type="range"
+                  min="0"
+                  max="50"
+                  value={config.bubbleInnerRadius}
+                  onChange={(e) =>
+                    setConfig({
+                      ...config,
+                      bubbleInnerRadius: parseInt(e.target.value),
+                    })
+                  }
+                  className="range-input"
+                />
+              </div>
+            )}
           </div>
 
           <div className="control-section">
             <h3>🔍 Preview Options</h3>
+            <div className="control-group">
+              <label>Safe Zone Profile:</label>
+              <select
+                value={config.safeZone}
+                onChange={(e) =>
+                  setConfig({ ...config, safeZone: e.target.value })
+                }
+                className="select-input"
+              >
+                {Object.entries(SAFE_ZONE_PROFILES).map(([name, profile]) => (
+                  <option key={name} value={name}>
+                    {profile.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <label className="checkbox-label">
               <input
                 type="checkbox"
                 checked={showSafeZones}
                 onChange={(e) => setShowSafeZones(e.target.checked)}
               />
-              Show TikTok UI Safe Zones
+              Show UI Safe Zones
+            </label>
+
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={serverRender}
+                onChange={(e) => setServerRender(e.target.checked)}
+              />
+              Compare with Server Render
             </label>
           </div>
         </div>
 
         {/* Preview Canvas */}
         <div className="preview-panel">
-          <div className="canvas-container">
-            <Stage
-              width={CANVAS_CONFIG.width * CANVAS_CONFIG.previewScale}
-              height={CANVAS_CONFIG.height * CANVAS_CONFIG.previewScale}
-              scaleX={CANVAS_CONFIG.previewScale}
-              scaleY={CANVAS_CONFIG.previewScale}
-            >
-              <Layer>
-                {/* Background Image */}
-                {konvaImage && (
-                  <KonvaImage
-                    image={konvaImage}
-                    x={0}
-                    y={0}
-                    width={CANVAS_CONFIG.width}
-                    height={CANVAS_CONFIG.height}
-                  />
-                )}
-
-                {/* Default background if no image */}
-                {!konvaImage && (
-                  <Rect
-                    x={0}
-                    y={0}
-                    width={CANVAS_CONFIG.width}
-                    height={CANVAS_CONFIG.height}
-                    fill="#667eea"
-                  />
-                )}
-
-                {/* Bubble Backgrounds (Back Layer) */}
-                {renderBubbleBackgrounds()}
-
-                {/* Text Content (Front Layer) */}
-                {renderTextForeground()}
+          <div className="render-compare">
+            <div className="canvas-container">
+              {serverRender && <h4 className="render-title">Live preview</h4>}
+              <Stage
+                width={CANVAS_CONFIG.width * CANVAS_CONFIG.previewScale}
+                height={CANVAS_CONFIG.height * CANVAS_CONFIG.previewScale}
+                scaleX={CANVAS_CONFIG.previewScale}
+                scaleY={CANVAS_CONFIG.previewScale}
+              >
+                <Layer ref={contentLayerRef}>
+                  {/* Background Image */}
+                  {konvaImage && renderBackground()}
+
+                  {/* Default background if no image */}
+                  {!konvaImage && (
+                    <Rect
+                      x={0}
+                      y={0}
+                      width={CANVAS_CONFIG.width}
+                      height={CANVAS_CONFIG.height}
+                      fill={PLACEHOLDER_BACKGROUND}
+                    />
+                  )}
+
+                  {/* Bubble Backgrounds (Back Layer) */}
+                  {renderBubbleBackgrounds()}
+
+                  {/* Text Content (Front Layer) */}
+                  {renderTextForeground()}
+                </Layer>
+
+                {/* TikTok UI Safe Zones (own layer, left out of the diff) */}
+                <Layer>{renderSafeZones()}</Layer>
+              </Stage>
+            </div>
 
-                {/* TikTok UI Safe Zones */}
-                {renderSafeZones()}
-              </Layer>
-            </Stage>
+            {serverRender && (
+              <>
+                <div className="canvas-container">
+                  <h4 className="render-title">Server render</h4>
+                  {serverRenderError && (
+                    <p className="render-error">{serverRenderError}</p>
+                  )}
+                  {serverRenderUrl && (
+                    <img
+                      src={serverRenderUrl}
+                      alt="Server render"
+                      className="render-image"
+                      onLoad={handleServerRenderLoad}
+                    />
+                  )}
+                </div>
+
+                <div className="canvas-container">
+                  <h4 className="render-title">
+                    Differences
+                    {diffRatio !== null &&
+                      ` (${(diffRatio * 100).toFixed(1)}% of pixels)`}
+                  </h4>
+                  <canvas ref={diffCanvasRef} className="render-image" />
+                </div>
+              </>
+            )}
           </div>
 
           <div className="preview-info">
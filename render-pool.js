@@ -0,0 +1,442 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const WORKER_SCRIPT = path.join(__dirname, "render-worker.js");
+
+// Recent jobs kept for the latency figures on /health
+const LATENCY_SAMPLES = 100;
+
+// A worker that dies before it is ready is restarted after a delay that
+// doubles per consecutive failure; its slot is given up after the last attempt
+const RESTART_BASE_DELAY_MS = 500;
+const RESTART_MAX_DELAY_MS = 30000;
+const MAX_STARTUP_ATTEMPTS = 5;
+
+/**
+ * Error with a machine-readable code ("RENDER_QUEUE_FULL", "RENDER_TIMEOUT",
+ * "RENDER_POOL_UNAVAILABLE")
+ *
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties, e.g. { retryAfter }
+ * @returns {Error}
+ */
+function createPoolError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+const average = (values) =>
+  values.length === 0
+    ? 0
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Pool of worker threads that run renders off the Express event loop
+ *
+ * Jobs wait in a bounded FIFO queue for a free worker. When the queue is full
+ * `run` rejects at once with RENDER_QUEUE_FULL (and a `retryAfter` estimate in
+ * seconds) instead of letting requests pile up. A job that runs longer than
+ * `timeoutMs` rejects with RENDER_TIMEOUT; canvas work cannot be interrupted,
+ * so its worker is terminated and replaced.
+ *
+ * A worker that fails while starting (e.g. the canvas addon cannot load) is
+ * restarted with exponential backoff. After MAX_STARTUP_ATTEMPTS failures in
+ * a row its slot stays empty, the pool reports itself unhealthy, and once no
+ * slot is left every job rejects with RENDER_POOL_UNAVAILABLE.
+ */
+class RenderPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.size - Worker threads (default: available CPUs)
+   * @param {number} options.maxQueue - Jobs allowed to wait for a worker (default: 4 per worker)
+   * @param {number} options.maxBatch - Largest batch runBatch must admit on an idle pool; maxQueue is raised to it
+   * @param {number} options.timeoutMs - Per-job time limit once a worker picks it up
+   * @param {Object} options.workerData - Passed to every worker (e.g. fontUploadDir)
+   */
+  constructor({
+    size = os.availableParallelism?.() || os.cpus().length,
+    maxQueue = size * 4,
+    maxBatch = 1,
+    timeoutMs = 30000,
+    workerData = {},
+  } = {}) {
+    this.size = Math.max(1, size);
+    this.maxQueue = Math.max(maxQueue, maxBatch);
+    this.timeoutMs = timeoutMs;
+    this.workerData = workerData;
+
+    this.queue = [];
+    this.destroyed = false;
+    this.nextJobId = 1;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      invalidImages: 0,
+      timedOut: 0,
+      rejected: 0,
+    };
+    this.waitTimes = [];
+    this.runTimes = [];
+    this.lastStartupError = null;
+
+    this.workers = Array.from({ length: this.size }, () => this.spawnWorker());
+  }
+
+  /**
+   * Start a worker thread and wire up its events
+   *
+   * @param {number} startupFailures - Failed starts of this slot in a row
+   * @returns {Object} Pool entry { worker, job, ready, startupFailures }
+   */
+  spawnWorker(startupFailures = 0) {
+    const entry = {
+      worker: new Worker(WORKER_SCRIPT, { workerData: this.workerData }),
+      job: null,
+      ready: false,
+      retired: false,
+      startupFailures,
+      restartTimer: null,
+    };
+
+    entry.worker.on("message", (message) => {
+      if (message.type === "ready") {
+        entry.ready = true;
+        entry.startupFailures = 0;
+        this.dispatch();
+        return;
+      }
+      this.handleResult(entry, message);
+    });
+    entry.worker.on("error", (error) => {
+      console.error("❌ Render worker crashed:", error);
+      this.replaceWorker(entry, error);
+    });
+    entry.worker.on("exit", (code) => {
+      if (!entry.retired) {
+        this.replaceWorker(
+          entry,
+          new Error(`Render worker exited with code ${code}`)
+        );
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Retire a worker, fail its job and start a fresh worker in its place
+   * (after a backoff delay when it never got ready)
+   *
+   * @param {Object} entry - Pool entry
+   * @param {Error} error - Reason passed to the running job
+   */
+  replaceWorker(entry, error) {
+    if (entry.retired) {
+      return;
+    }
+    entry.retired = true;
+    entry.worker.terminate();
+
+    if (entry.job) {
+      this.finishJob(entry.job, error);
+      entry.job = null;
+    }
+
+    const index = this.workers.indexOf(entry);
+    if (index === -1 || this.destroyed) {
+      return;
+    }
+
+    if (entry.ready) {
+      this.workers[index] = this.spawnWorker();
+      this.dispatch();
+      return;
+    }
+
+    const startupFailures = entry.startupFailures + 1;
+    this.lastStartupError = error.message;
+    if (startupFailures >= MAX_STARTUP_ATTEMPTS) {
+      console.error(
+        `❌ Render worker failed to start ${startupFailures} times, giving up on it`
+      );
+      entry.startupFailures = startupFailures;
+      this.rejectQueueIfUnavailable();
+      return;
+    }
+
+    const delay = Math.min(
+      RESTART_BASE_DELAY_MS * 2 ** (startupFailures - 1),
+      RESTART_MAX_DELAY_MS
+    );
+    entry.startupFailures = startupFailures;
+    entry.restartTimer = setTimeout(() => {
+      if (!this.destroyed && this.workers[index] === entry) {
+        this.workers[index] = this.spawnWorker(startupFailures);
+        this.dispatch();
+      }
+    }, delay);
+  }
+
+  /**
+   * Slots with a running worker or a pending restart
+   *
+   * @returns {Object[]} Pool entries
+   */
+  getUsableWorkers() {
+    return this.workers.filter(
+      (entry) => !entry.retired || entry.restartTimer !== null
+    );
+  }
+
+  /**
+   * Fail every queued job once no slot can run them any more
+   */
+  rejectQueueIfUnavailable() {
+    if (this.getUsableWorkers().length > 0) {
+      return;
+    }
+    this.queue
+      .splice(0)
+      .forEach((job) => job.reject(this.createUnavailableError()));
+  }
+
+  createUnavailableError() {
+    return createPoolError(
+      "RENDER_POOL_UNAVAILABLE",
+      `No render worker could be started: ${this.lastStartupError}`
+    );
+  }
+
+  /**
+   * Queue a render or layout job
+   *
+   * @param {string} method - Renderer method, e.g. "addTextLayersWithLayout" or "layoutLayers"
+   * @param {Array} args - Method arguments; for renders the first is the image Buffer
+   * @returns {Promise<{buffer: Buffer|null, layout: Object}>} Layout jobs
+   *   have no buffer; their layout is the method's return value
+   */
+  async run(method, args) {
+    const [result] = await this.runBatch([{ method, args }]);
+    return result;
+  }
+
+  /**
+   * Queue render jobs as one unit (e.g. the slides of a carousel)
+   * The batch is admitted only when the queue has room for every job idle
+   * workers cannot take at once, so a rejected request never leaves part of
+   * its jobs rendering.
+   *
+   * @param {Array<{method: string, args: Array}>} jobs - Jobs as passed to run
+   * @returns {Promise<Array<{buffer: Buffer, layout: Object}>>} Results in job order
+   */
+  runBatch(jobs) {
+    if (this.getUsableWorkers().length === 0) {
+      return Promise.reject(this.createUnavailableError());
+    }
+
+    const idle = this.workers.filter(
+      (entry) => entry.ready && !entry.retired && !entry.job
+    ).length;
+    if (this.queue.length + Math.max(0, jobs.length - idle) > this.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(
+        createPoolError("RENDER_QUEUE_FULL", "Render queue is full", {
+          retryAfter: this.estimateRetryAfter(),
+        })
+      );
+    }
+
+    const results = jobs.map(
+      ({ method, args }) =>
+        new Promise((resolve, reject) => {
+          this.queue.push({
+            id: this.nextJobId++,
+            method,
+            args,
+            resolve,
+            reject,
+            enqueuedAt: Date.now(),
+          });
+        })
+    );
+    this.dispatch();
+    return Promise.all(results);
+  }
+
+  /**
+   * Hand queued jobs to idle workers (jobs wait while workers start up)
+   */
+  dispatch() {
+    for (const entry of this.workers) {
+      if (this.queue.length === 0) {
+        return;
+      }
+      if (entry.job || entry.retired || !entry.ready) {
+        continue;
+      }
+
+      const job = this.queue.shift();
+      job.startedAt = Date.now();
+      this.recordSample(this.waitTimes, job.startedAt - job.enqueuedAt);
+      job.timer = setTimeout(() => {
+        this.stats.timedOut++;
+        this.replaceWorker(
+          entry,
+          createPoolError(
+            "RENDER_TIMEOUT",
+            `Render did not finish within ${this.timeoutMs}ms`
+          )
+        );
+      }, this.timeoutMs);
+
+      entry.job = job;
+      entry.worker.postMessage({
+        id: job.id,
+        method: job.method,
+        args: job.args,
+      });
+    }
+  }
+
+  /**
+   * Settle the job a worker answered and give the worker new work
+   */
+  handleResult(entry, message) {
+    const { job } = entry;
+    if (!job || job.id !== message.id) {
+      return;
+    }
+    entry.job = null;
+
+    if (message.error) {
+      const error = new Error(message.error);
+      if (message.code) {
+        error.code = message.code;
+      }
+      this.finishJob(job, error);
+    } else {
+      const { buffer } = message;
+      this.finishJob(job, null, {
+        buffer: buffer
+          ? Buffer.from(buffer.buffer, buffer.byteOffset, buffer.length)
+          : null,
+        layout: message.layout,
+      });
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Resolve or reject a job and record its run time
+   */
+  finishJob(job, error, result) {
+    clearTimeout(job.timer);
+    this.recordSample(this.runTimes, Date.now() - job.startedAt);
+
+    if (error) {
+      // An image that does not decode is the client's error, not the renderer's
+      if (error.code === "INVALID_IMAGE") {
+        this.stats.invalidImages++;
+      } else {
+        this.stats.failed++;
+      }
+      job.reject(error);
+    } else {
+      this.stats.completed++;
+      job.resolve(result);
+    }
+  }
+
+  recordSample(samples, value) {
+    samples.push(value);
+    if (samples.length > LATENCY_SAMPLES) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Seconds until a rejected client should retry: the time the workers need
+   * to drain the current queue at the recent average render time
+   *
+   * @returns {number}
+   */
+  estimateRetryAfter() {
+    const runMs = average(this.runTimes) || 1000;
+    return Math.max(
+      1,
+      Math.ceil(((this.queue.length / this.size + 1) * runMs) / 1000)
+    );
+  }
+
+  /**
+   * Send a message to every worker (e.g. a newly uploaded font)
+   *
+   * @param {Object} message - Message with a `type`
+   */
+  broadcast(message) {
+    this.workers.forEach((entry) => entry.worker.postMessage(message));
+  }
+
+  /**
+   * Whether every worker slot is running or starting normally; false while a
+   * slot is failing to start (backing off or given up)
+   *
+   * @returns {boolean}
+   */
+  isHealthy() {
+    return this.workers.every((entry) => entry.startupFailures === 0);
+  }
+
+  /**
+   * Queue depth, utilization, worker health and recent latencies
+   *
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      healthy: this.isHealthy(),
+      workers: this.size,
+      ready: this.workers.filter((entry) => entry.ready && !entry.retired)
+        .length,
+      failingToStart: this.workers.filter((entry) => entry.startupFailures > 0)
+        .length,
+      lastStartupError: this.isHealthy() ? null : this.lastStartupError,
+      busy: this.workers.filter((entry) => entry.job).length,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      timeoutMs: this.timeoutMs,
+      ...this.stats,
+      avgWaitMs: Math.round(average(this.waitTimes)),
+      avgRenderMs: Math.round(average(this.runTimes)),
+    };
+  }
+
+  /**
+   * Stop every worker; queued and running jobs are rejected
+   *
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.destroyed = true;
+    const shutDown = () => new Error("Render pool shut down");
+    this.queue.splice(0).forEach((job) => job.reject(shutDown()));
+    await Promise.all(
+      this.workers.map((entry) => {
+        entry.retired = true;
+        clearTimeout(entry.restartTimer);
+        if (entry.job) {
+          this.finishJob(entry.job, shutDown());
+          entry.job = null;
+        }
+        return entry.worker.terminate();
+      })
+    );
+  }
+}
+
+module.exports = { RenderPool };
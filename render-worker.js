@@ -0,0 +1,74 @@
+const { parentPort, workerData } = require("worker_threads");
+const { TikTokTextOverlay } = require("./text-overlay");
+const { FontRegistry } = require("./font-registry");
+
+/**
+ * Render pool worker
+ *
+ * Each worker thread owns its own renderer. Fonts are registered with the
+ * canvas once by the main thread (the font collection is process-wide); the
+ * worker's registry only tracks which families exist, so uploads arrive as
+ * "registerFont" messages. Jobs arrive as { id, method, args } and are
+ * answered with { id, buffer, layout }, { id, layout } for layout jobs, or
+ * { id, error, code }.
+ */
+
+// Renderer methods a render job may call; the first argument is the image
+const RENDER_METHODS = ["addTextLayersWithLayout", "addTextOverlayWithLayout"];
+
+// Renderer methods that only measure; their return value is the layout
+const LAYOUT_METHODS = ["layoutLayers", "previewBalancedText"];
+
+const fontRegistry = new FontRegistry({
+  uploadDir: workerData.fontUploadDir,
+  registerWithCanvas: false,
+}).loadAll();
+const renderer = new TikTokTextOverlay({ fontRegistry });
+
+// Buffers arrive as plain Uint8Arrays after crossing the thread boundary
+const toBuffer = (value) =>
+  ArrayBuffer.isView(value)
+    ? Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    : value;
+
+async function runJob({ id, method, args }) {
+  try {
+    if (LAYOUT_METHODS.includes(method)) {
+      parentPort.postMessage({ id, layout: await renderer[method](...args) });
+      return;
+    }
+    if (!RENDER_METHODS.includes(method)) {
+      throw new Error(`Unknown render method "${method}"`);
+    }
+
+    const [image, ...rest] = args;
+    const { buffer, layout } = await renderer[method](toBuffer(image), ...rest);
+
+    // Hand the encoded image back without copying when it owns its memory
+    const transferable =
+      buffer.byteOffset === 0 && buffer.byteLength === buffer.buffer.byteLength;
+    parentPort.postMessage(
+      { id, buffer, layout },
+      transferable ? [buffer.buffer] : []
+    );
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message, code: error.code });
+  }
+}
+
+parentPort.on("message", (message) => {
+  if (message.type === "registerFont") {
+    try {
+      fontRegistry.registerFile(message.filePath, "uploaded");
+    } catch (error) {
+      console.warn(`⚠️  Worker could not register font:`, error.message);
+    }
+    return;
+  }
+
+  runJob(message);
+});
+
+// Tell the pool the renderer loaded; a worker that dies before this is
+// restarted with backoff
+parentPort.postMessage({ type: "ready" });
@@ -5,7 +5,306 @@ const helmet = require("helmet");
 const compression = require("compression");
 const path = require("path");
 const fs = require("fs");
-const { TikTokTextOverlay } = require("./text-overlay");
+const archiver = require("archiver");
+const {
+  TikTokTextOverlay,
+  TEXT_STYLES,
+  WRAP_MODES,
+} = require("./text-overlay");
+const { PresetStore } = require("./preset-store");
+const { TemplateStore, MAX_TEMPLATE_DEPTH } = require("./template-store");
+const { RenderPool } = require("./render-pool");
+const { OUTPUT_FORMATS } = require("./image-encoder");
+const {
+  MAX_IMAGE_BYTES,
+  DEFAULT_FETCH_TIMEOUT_MS,
+  sniffImageType,
+  decodeBase64Image,
+  parseAllowedHosts,
+  fetchImageUrl,
+} = require("./image-source");
+const { FontRegistry } = require("./font-registry");
+const { isHyphenationLanguage } = require("./hyphenation");
+const { TEXT_DIRECTIONS } = require("./bidi");
+const {
+  BUBBLE_SHAPES,
+  ANCHOR_POINTS,
+  TEXT_ALIGNMENTS,
+  parseCoordinate,
+  SAFE_ZONE_PROFILES,
+  FIT_MODES,
+} = require("./shared");
+
+// Carousel limits (our pipeline posts 5 slides; leave headroom for longer posts)
+const MAX_CAROUSEL_SLIDES = 10;
+
+// Text layers per image (headline, caption, call to action, ...)
+const MAX_TEXT_LAYERS = 10;
+
+// Characters of text per layer; layout cost grows quickly with length,
+// especially with auto-fit and balanced wrapping
+const MAX_TEXT_LENGTH = 2000;
+
+// Output canvas bounds (keeps a single render within memory limits)
+const MIN_OUTPUT_DIMENSION = 64;
+const MAX_OUTPUT_DIMENSION = 4096;
+
+// Preview renders: fraction of the requested size (the preview app's stage
+// is drawn at 0.35) and the bounds a client may ask for
+const DEFAULT_PREVIEW_SCALE = 0.35;
+const MIN_PREVIEW_SCALE = 0.1;
+const MAX_PREVIEW_SCALE = 0.5;
+
+// Response headers describing a binary image (see sendImage)
+const IMAGE_METADATA_HEADERS = [
+  "Content-Disposition",
+  "X-Image-Width",
+  "X-Image-Height",
+  "X-Image-Format",
+  "X-Image-Quality",
+  "X-Image-Fits-Max-Bytes",
+  "X-Font-Size",
+  "X-Text-Layers",
+  "X-Line-Count",
+  "X-Fits",
+  "X-Preview-Scale",
+];
+
+// Preset names and template ids double as file keys and URL segments
+const PRESET_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Names the patterns allow that are special as JavaScript object keys
+const RESERVED_NAMES = ["__proto__", "constructor", "prototype"];
+
+// Template name and description limits
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const MAX_TEMPLATE_DESCRIPTION_LENGTH = 500;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+const toPositiveInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+const toSignedNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const toUnitInterval = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 && number <= 1
+    ? number
+    : undefined;
+};
+
+const toDimension = (value) => {
+  const number = toPositiveInteger(value);
+  return number >= MIN_OUTPUT_DIMENSION && number <= MAX_OUTPUT_DIMENSION
+    ? number
+    : undefined;
+};
+
+const toQuality = (value) => {
+  const number = toPositiveInteger(value);
+  return number <= 100 ? number : undefined;
+};
+
+const toBoolean = (value) => {
+  if (value === true || value === "true" || value === "1") return true;
+  if (value === false || value === "false" || value === "0") return false;
+  return undefined;
+};
+
+const toText = (value) => {
+  const text = String(value).trim();
+  return text.length > 0 ? text : undefined;
+};
+
+// Style options a request, carousel slide or preset may set, with their parsers.
+// A parser returns undefined when the value is not acceptable.
+const STYLE_OPTION_PARSERS = {
+  width: toDimension,
+  height: toDimension,
+  format: (value) => {
+    const format = String(value).toLowerCase();
+    return Object.hasOwn(OUTPUT_FORMATS, format) ? format : undefined;
+  },
+  quality: toQuality,
+  maxBytes: toPositiveInteger,
+  position: (value) =>
+    ["top", "center", "bottom"].includes(value) ? value : undefined,
+  fontSize: toNumber,
+  fontFamily: toText,
+  fontWeight: toText,
+  lineHeight: toNumber,
+  textColor: toText,
+  bubbleColor: toText,
+  bubbleRadius: toNumber,
+  bubblePadding: toNumber,
+  horizontalPadding: toNumber,
+  fit: (value) => (FIT_MODES.includes(value) ? value : undefined),
+  focalX: toUnitInterval,
+  focalY: toUnitInterval,
+  letterboxColor: toText,
+  blurRadius: toNumber,
+  markup: toBoolean,
+  boldFontWeight: toText,
+  highlightColor: toText,
+  highlightTextColor: toText,
+  highlightPadding: toNumber,
+  highlightRadius: toNumber,
+  emoji: toBoolean,
+  emojiScale: toNumber,
+  textStyle: (value) => (Object.hasOwn(TEXT_STYLES, value) ? value : undefined),
+  bubbleOpacity: toUnitInterval,
+  outlineColor: toText,
+  outlineWidth: toNumber,
+  shadowColor: toText,
+  shadowBlur: toNumber,
+  shadowOffsetX: toSignedNumber,
+  shadowOffsetY: toSignedNumber,
+  bubbleShape: (value) => (BUBBLE_SHAPES.includes(value) ? value : undefined),
+  bubbleInnerRadius: toNumber,
+  x: parseCoordinate,
+  y: parseCoordinate,
+  anchor: (value) => (Object.hasOwn(ANCHOR_POINTS, value) ? value : undefined),
+  textAlign: (value) => (TEXT_ALIGNMENTS.includes(value) ? value : undefined),
+  safeZone: (value) =>
+    Object.hasOwn(SAFE_ZONE_PROFILES, value) ? value : undefined,
+  direction: (value) => (TEXT_DIRECTIONS.includes(value) ? value : undefined),
+  wrap: (value) => (WRAP_MODES.includes(value) ? value : undefined),
+  avoidOrphans: toBoolean,
+  breakLongWords: toBoolean,
+  hyphenate: toBoolean,
+  language: (value) =>
+    isHyphenationLanguage(value) ? String(value).toLowerCase() : undefined,
+  autoFit: toBoolean,
+  minFontSize: toNumber,
+  maxFontSize: toNumber,
+  maxLines: toPositiveInteger,
+  maxBlockHeight: toNumber,
+};
+
+/**
+ * Pick and coerce style options from request fields
+ *
+ * @param {Object} source - Request body, slide style or preset definition
+ * @returns {{options: Object, invalidKeys: string[]}} Parsed options and rejected keys
+ */
+function parseStyleOptions(source = {}) {
+  const options = {};
+  const invalidKeys = [];
+
+  for (const [key, parse] of Object.entries(STYLE_OPTION_PARSERS)) {
+    const rawValue = source[key];
+    if (rawValue === undefined || rawValue === null || rawValue === "") {
+      continue;
+    }
+
+    const value = parse(rawValue);
+    if (value === undefined) {
+      invalidKeys.push(key);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { options, invalidKeys };
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const toTemplateId = (value) =>
+  typeof value === "string" &&
+  TEMPLATE_ID_PATTERN.test(value) &&
+  !RESERVED_NAMES.includes(value)
+    ? value
+    : undefined;
+
+const toBoundedText = (maxLength) => (value) => {
+  if (typeof value !== "string") return undefined;
+  const text = value.trim();
+  return text.length > 0 && text.length <= maxLength ? text : undefined;
+};
+
+// Template document schema: the fields a template may contain, with their
+// parsers. "style" holds STYLE_OPTION_PARSERS keys and is checked separately.
+const TEMPLATE_FIELD_PARSERS = {
+  id: toTemplateId,
+  name: toBoundedText(MAX_TEMPLATE_NAME_LENGTH),
+  description: toBoundedText(MAX_TEMPLATE_DESCRIPTION_LENGTH),
+  extends: toTemplateId,
+  style: (value) => (isPlainObject(value) ? value : undefined),
+};
+
+/**
+ * Validate a template document against the template schema
+ * Unlike request fields, unknown fields and style options are rejected, so a
+ * typo in a stored house style fails when it is saved instead of every render
+ * silently ignoring it.
+ *
+ * @param {Object} body - Template document { id, name, description, extends, style }
+ * @returns {{template: Object|null, errors: string[]}} Parsed template and every schema violation
+ */
+function parseTemplateDefinition(body) {
+  if (!isPlainObject(body)) {
+    return { template: null, errors: ["The template must be a JSON object"] };
+  }
+
+  const errors = Object.keys(body)
+    .filter((key) => !Object.hasOwn(TEMPLATE_FIELD_PARSERS, key))
+    .map((key) => `Unknown field "${key}"`);
+
+  const template = {};
+  for (const [key, parse] of Object.entries(TEMPLATE_FIELD_PARSERS)) {
+    if (body[key] === undefined || body[key] === null) {
+      continue;
+    }
+
+    const value = parse(body[key]);
+    if (value === undefined) {
+      errors.push(`Invalid value for "${key}"`);
+    } else {
+      template[key] = value;
+    }
+  }
+
+  // An empty style counts as none; a style that failed validation already
+  // has its own errors and is not reported as missing too
+  const styleGiven =
+    body.style !== undefined &&
+    body.style !== null &&
+    !(isPlainObject(body.style) && Object.keys(body.style).length === 0);
+
+  if (template.style) {
+    const unknownKeys = Object.keys(template.style).filter(
+      (key) => !Object.hasOwn(STYLE_OPTION_PARSERS, key)
+    );
+    if (unknownKeys.length > 0) {
+      errors.push(`Unknown style option ${unknownKeys.join(", ")}`);
+    }
+
+    const { options, invalidKeys } = parseStyleOptions(template.style);
+    errors.push(
+      ...invalidKeys.map((key) => `Invalid value for "style.${key}"`)
+    );
+    template.style = options;
+  }
+
+  if (!template.extends && !styleGiven) {
+    errors.push('Provide a "style" or a base template in "extends"');
+  }
+
+  return errors.length > 0
+    ? { template: null, errors }
+    : { template: { style: {}, ...template }, errors };
+}
 
 /**
  * Express.js Backend API for TikTok Text Overlay
@@ -22,7 +321,33 @@ class TikTokTextOverlayAPI {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 3000;
-    this.overlayProcessor = new TikTokTextOverlay();
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, "data");
+    this.fontRegistry = new FontRegistry({
+      uploadDir: path.join(this.dataDir, "fonts"),
+    }).loadAll();
+    this.overlayProcessor = new TikTokTextOverlay({
+      fontRegistry: this.fontRegistry,
+    });
+    this.presetStore = new PresetStore(path.join(this.dataDir, "presets.json"));
+    this.templateStore = new TemplateStore(
+      path.join(this.dataDir, "templates.json")
+    );
+    // Renders run on worker threads so they never block the event loop
+    this.renderPool = new RenderPool({
+      size: parseInt(process.env.RENDER_WORKERS, 10) || undefined,
+      maxQueue: parseInt(process.env.RENDER_QUEUE_SIZE, 10) || undefined,
+      // A carousel is admitted as one batch, so a full one must fit
+      maxBatch: MAX_CAROUSEL_SLIDES,
+      timeoutMs: parseInt(process.env.RENDER_TIMEOUT_MS, 10) || undefined,
+      workerData: { fontUploadDir: path.join(this.dataDir, "fonts") },
+    });
+    this.imageUrlLimits = {
+      allowedHosts: parseAllowedHosts(process.env.IMAGE_URL_ALLOWED_HOSTS),
+      maxBytes: MAX_IMAGE_BYTES,
+      timeoutMs:
+        parseInt(process.env.IMAGE_URL_TIMEOUT_MS, 10) ||
+        DEFAULT_FETCH_TIMEOUT_MS,
+    };
     this.initializeMiddleware();
     this.initializeRoutes();
     this.initializeErrorHandling();
@@ -43,16 +368,18 @@ class TikTokTextOverlayAPI {
     this.app.use(
       cors({
         origin: process.env.ALLOWED_ORIGINS?.split(",") || "*",
-        methods: ["GET", "POST"],
+        methods: ["GET", "POST", "PUT", "DELETE"],
         allowedHeaders: ["Content-Type", "Authorization"],
+        // Metadata of binary image responses
+        exposedHeaders: IMAGE_METADATA_HEADERS,
       })
     );
 
     // Compression for better performance
     this.app.use(compression());
 
-    // Body parsing
-    this.app.use(express.json({ limit: "10mb" }));
+    // Body parsing (JSON bodies may carry a 10MB image as base64)
+    this.app.use(express.json({ limit: "15mb" }));
     this.app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
     // Static file serving for outputs and public files
@@ -61,42 +388,34 @@ class TikTokTextOverlayAPI {
   }
 
   /**
-   * Configure multer for temporary file upload handling
+   * Configure multer to keep uploads in memory
    */
   configureMulter() {
-    // Ensure output directory exists for any temporary files
+    // Ensure the statically served output directory exists
     const outputDir = path.join(__dirname, "outputs");
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    // Configure memory storage for temporary processing
+    // Uploads stay in memory and are rendered straight from their buffer
     const storage = multer.memoryStorage();
 
-    // File filter for image validation
-    const fileFilter = (req, file, cb) => {
-      const allowedTypes = [
-        "image/jpeg",
-        "image/jpg",
-        "image/png",
-        "image/webp",
-      ];
-
-      if (allowedTypes.includes(file.mimetype)) {
-        cb(null, true);
-      } else {
-        cb(
-          new Error(
-            "Invalid file type. Only JPEG, PNG, and WebP images are allowed."
-          ),
-          false
-        );
-      }
-    };
-
+    // The image type is checked on the bytes by the handlers (sniffImageType);
+    // the client's MIME type is not trusted
     return multer({
       storage: storage,
-      fileFilter: fileFilter,
+      limits: {
+        fileSize: MAX_IMAGE_BYTES, // 10MB limit
+      },
+    });
+  }
+
+  /**
+   * Configure multer for font uploads (validated in the handler)
+   */
+  configureFontMulter() {
+    return multer({
+      storage: multer.memoryStorage(),
       limits: {
         fileSize: 10 * 1024 * 1024, // 10MB limit
       },
@@ -108,14 +427,17 @@ class TikTokTextOverlayAPI {
    */
   initializeRoutes() {
     const upload = this.configureMulter();
+    const fontUpload = this.configureFontMulter();
 
-    // Health check endpoint
+    // Health check endpoint (503 while render workers fail to start)
     this.app.get("/health", (req, res) => {
-      res.json({
-        status: "OK",
+      const renderPool = this.renderPool.getStats();
+      res.status(renderPool.healthy ? 200 : 503).json({
+        status: renderPool.healthy ? "OK" : "UNHEALTHY",
         timestamp: new Date().toISOString(),
         service: "TikTok Text Overlay API",
         version: "1.0.0",
+        renderPool,
       });
     });
 
@@ -132,19 +454,136 @@ class TikTokTextOverlayAPI {
       }
     );
 
-    // Configuration endpoint
-    this.app.post("/api/configure", (req, res) => {
+    // Multi-slide carousel endpoint
+    this.app.post(
+      "/api/carousel",
+      upload.array("images", MAX_CAROUSEL_SLIDES),
+      async (req, res) => {
+        try {
+          await this.handleCarousel(req, res);
+        } catch (error) {
+          this.handleError(error, res);
+        }
+      }
+    );
+
+    // Font endpoints
+    this.app.get("/api/fonts", (req, res) => {
+      try {
+        this.handleListFonts(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.post("/api/fonts", fontUpload.single("font"), (req, res) => {
+      try {
+        this.handleFontUpload(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    // Preset endpoints (/api/configure kept as an alias for saving a preset)
+    this.app.get("/api/presets", (req, res) => {
+      try {
+        this.handleListPresets(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.get("/api/presets/:name", (req, res) => {
+      try {
+        this.handleGetPreset(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.post(["/api/presets", "/api/configure"], (req, res) => {
+      try {
+        this.handleSavePreset(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.delete("/api/presets/:name", (req, res) => {
+      try {
+        this.handleDeletePreset(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    // Template endpoints (render requests reference templates by "template" id)
+    this.app.get("/api/templates", (req, res) => {
+      try {
+        this.handleListTemplates(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.get("/api/templates/:id", (req, res) => {
+      try {
+        this.handleGetTemplate(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.post("/api/templates", (req, res) => {
+      try {
+        this.handleCreateTemplate(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.put("/api/templates/:id", (req, res) => {
+      try {
+        this.handleUpdateTemplate(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    this.app.delete("/api/templates/:id", (req, res) => {
+      try {
+        this.handleDeleteTemplate(req, res);
+      } catch (error) {
+        this.handleError(error, res);
+      }
+    });
+
+    // Low-resolution render for the preview tool's server render mode
+    this.app.post(
+      "/api/preview-render",
+      upload.single("avatar"),
+      async (req, res) => {
+        try {
+          await this.handlePreviewRender(req, res);
+        } catch (error) {
+          this.handleError(error, res);
+        }
+      }
+    );
+
+    // Layout-only endpoint: exact geometry without rendering pixels
+    this.app.post("/api/layout", async (req, res) => {
       try {
-        this.handleConfiguration(req, res);
+        await this.handleLayout(req, res);
       } catch (error) {
         this.handleError(error, res);
       }
     });
 
     // Preview text layout endpoint
-    this.app.post("/api/preview-text", (req, res) => {
+    this.app.post("/api/preview-text", async (req, res) => {
       try {
-        this.handleTextPreview(req, res);
+        await this.handleTextPreview(req, res);
       } catch (error) {
         this.handleError(error, res);
       }
@@ -155,192 +594,1277 @@ class TikTokTextOverlayAPI {
    * Handle text overlay processing
    */
   async handleTextOverlay(req, res) {
-    // Validate requesti
-    if (!req.file) {
+    // Validate request
+    const source = await this.resolveImageSource(req);
+    if (source.error) {
+      return res.status(source.status).json({
+        error: source.error,
+        message: source.message,
+      });
+    }
+    const { image } = source;
+
+    // The response body depends on Accept, so caches must key on it
+    res.vary("Accept");
+    const negotiated = this.negotiateImageOutput(req);
+    if (negotiated.error) {
       return res.status(400).json({
-        error: "No image file provided",
-        message: 'Please upload an avatar image using the "avatar" field',
+        error: "Invalid output",
+        message: negotiated.error,
       });
     }
 
-    if (!req.body.text || req.body.text.trim().length === 0) {
+    const { options, error } = this.buildRenderOptions(req.body);
+    if (error) {
       return res.status(400).json({
-        error: "No text provided",
-        message: 'Please provide text content in the "text" field',
+        error: "Invalid options",
+        message: error,
       });
     }
 
-    const text = req.body.text.trim();
-    const position = req.body.position || "bottom";
-    const fontSize = req.body.fontSize ? parseInt(req.body.fontSize) : null;
-    const lineHeight = req.body.lineHeight
-      ? parseFloat(req.body.lineHeight)
-      : null;
-    let tempFilePath = null;
+    // An Accept-ed image type picks the format unless one was set explicitly
+    if (negotiated.format && !options.format) {
+      options.format = negotiated.format;
+    }
 
-    try {
-      // Create temporary file for processing
-      const tempDir = path.join(__dirname, "temp");
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
+    const text = this.resolveTextLayers(req.body, options);
+    if (text.error) {
+      return res.status(400).json({
+        error: text.error,
+        message: text.message,
+      });
+    }
+    const { layers, hasLayers } = text;
+
+    // Resolve this request's style without touching the shared processor
+    const style = this.overlayProcessor.resolveStyle(options);
+
+    // Render straight from the in-memory image along with every layer's layout
+    const { buffer, layout } = await this.renderPool.run(
+      "addTextLayersWithLayout",
+      [image.buffer, layers, options]
+    );
+
+    if (negotiated.output === "binary") {
+      return this.sendImage(res, buffer, layout);
+    }
+
+    res.json({
+      success: true,
+      message: "Text overlay processed successfully",
+      data: {
+        imageBase64: buffer.toString("base64"),
+        originalImage: image.originalname,
+        width: layout.width,
+        height: layout.height,
+        output: layout.output,
+        text: hasLayers ? null : layers[0].text,
+        template: req.body.template || null,
+        preset: req.body.preset || null,
+        position: style.position,
+        fit: style.fit,
+        textStyle: style.textStyle,
+        // Auto-fit picks the size per layer; report the chosen one for "text"
+        fontSize: hasLayers ? style.fontSize : layout.layers[0].fontSize,
+        lineHeight: style.lineHeight,
+        layers: layout.layers,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
 
-      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-      const ext = path.extname(req.file.originalname);
-      tempFilePath = path.join(tempDir, `temp-${uniqueSuffix}${ext}`);
+  /**
+   * Read the input image from the "avatar" upload, "imageBase64" or "imageUrl"
+   * Exactly one source must be given; its type is sniffed from the bytes.
+   *
+   * @param {Object} req - Express request (multipart or JSON body)
+   * @returns {Promise<{image: Object|null, status: number, error: string|null, message: string|null}>}
+   *   A multer-like file { buffer, originalname, mimetype }, or the error response
+   */
+  async resolveImageSource(req) {
+    const { imageBase64, imageUrl } = req.body;
+    const sources = [req.file, imageBase64, imageUrl].filter(Boolean);
+    const failure = (status, error, message) => ({
+      image: null,
+      status,
+      error,
+      message,
+    });
 
-      // Write buffer to temporary file
-      fs.writeFileSync(tempFilePath, req.file.buffer);
+    if (sources.length === 0) {
+      return failure(
+        400,
+        "No image provided",
+        'Upload an image in the "avatar" field or send "imageBase64" or "imageUrl"'
+      );
+    }
+    if (sources.length > 1) {
+      return failure(
+        400,
+        "Multiple images provided",
+        'Send only one of "avatar", "imageBase64" and "imageUrl"'
+      );
+    }
 
-      // Configure overlay settings
-      this.overlayProcessor.setPosition(position);
-      if (fontSize) {
-        this.overlayProcessor.setFontSize(fontSize);
+    let buffer;
+    let name;
+    if (req.file) {
+      buffer = req.file.buffer;
+      name = req.file.originalname;
+    } else if (imageBase64) {
+      buffer = decodeBase64Image(imageBase64);
+      name = "imageBase64";
+      if (!buffer) {
+        return failure(400, "Invalid image", '"imageBase64" is not base64');
+      }
+      if (buffer.length > MAX_IMAGE_BYTES) {
+        return failure(
+          400,
+          "File too large",
+          "File size must be less than 10MB"
+        );
       }
-      if (lineHeight) {
-        this.overlayProcessor.setLineHeight(lineHeight);
+    } else {
+      const fetched = await fetchImageUrl(imageUrl, this.imageUrlLimits);
+      if (fetched.error) {
+        return failure(fetched.status, "Invalid image URL", fetched.error);
       }
+      buffer = fetched.buffer;
+      name = path.basename(new URL(imageUrl).pathname) || "imageUrl";
+    }
 
-      // Process the image and get base64
-      const base64Image = await this.overlayProcessor.addTextOverlayBase64(
-        tempFilePath,
-        text
+    const type = sniffImageType(buffer);
+    if (!type) {
+      return failure(
+        400,
+        "Invalid file type",
+        "Only JPEG, PNG, and WebP images are allowed."
       );
+    }
 
-      res.json({
-        success: true,
-        message: "Text overlay processed successfully",
-        data: {
-          imageBase64: base64Image,
-          originalImage: req.file.originalname,
-          text: text,
-          position: position,
-          fontSize: fontSize || this.overlayProcessor.config.fontSize,
-          lineHeight: lineHeight || this.overlayProcessor.config.lineHeight,
-          timestamp: new Date().toISOString(),
-        },
-      });
-    } catch (error) {
-      throw error;
-    } finally {
-      // Clean up temporary file
-      if (tempFilePath && fs.existsSync(tempFilePath)) {
-        try {
-          fs.unlinkSync(tempFilePath);
-        } catch (cleanupError) {
-          console.warn(
-            "Failed to clean up temporary file:",
-            cleanupError.message
-          );
-        }
+    return {
+      image: { buffer, originalname: name, mimetype: type.mimeType },
+      status: 200,
+      error: null,
+      message: null,
+    };
+  }
+
+  /**
+   * Decide between the JSON response and the raw image
+   * "output" (query string or form field) wins; otherwise an Accept header
+   * preferring an image type over JSON selects the binary response and, for
+   * a specific type such as image/webp, its format.
+   *
+   * @param {Object} req - Express request
+   * @returns {{output: string, format: string|null, error: string|null}}
+   */
+  negotiateImageOutput(req) {
+    const requested = req.query.output || req.body.output;
+    if (requested) {
+      const output = String(requested).toLowerCase();
+      if (!["json", "binary"].includes(output)) {
+        return {
+          output: null,
+          format: null,
+          error: 'Output must be "json" or "binary"',
+        };
       }
+      return { output, format: null, error: null };
+    }
+
+    const imageTypes = Object.values(OUTPUT_FORMATS).map(
+      (format) => format.mimeType
+    );
+    const accepted = req.accepts(["application/json", ...imageTypes]);
+    if (!accepted || accepted === "application/json") {
+      return { output: "json", format: null, error: null };
     }
+
+    // "image/*" alone matches the first offer and leaves the format alone
+    const explicit = (req.get("Accept") || "").includes(accepted);
+    const format = Object.keys(OUTPUT_FORMATS).find(
+      (key) => OUTPUT_FORMATS[key].mimeType === accepted
+    );
+    return { output: "binary", format: explicit ? format : null, error: null };
   }
 
   /**
-   * Handle configuration updates
+   * Send a rendered image as the response body with its metadata in headers
+   *
+   * @param {Object} res - Express response
+   * @param {Buffer} buffer - Encoded image
+   * @param {Object} layout - Layout from addTextLayersWithLayout
    */
-  handleConfiguration(req, res) {
-    const {
-      fontSize,
-      position,
-      fontFamily,
-      fontWeight,
-      lineHeight,
-      textColor,
-      bubbleColor,
-    } = req.body;
+  sendImage(res, buffer, layout) {
+    const { output } = layout;
+    const lineCount = layout.layers.reduce(
+      (count, layer) => count + layer.lines.length,
+      0
+    );
 
-    try {
-      if (fontSize) this.overlayProcessor.setFontSize(fontSize);
-      if (position) this.overlayProcessor.setPosition(position);
-      if (fontFamily) this.overlayProcessor.setFontFamily(fontFamily);
-      if (fontWeight) this.overlayProcessor.setFontWeight(fontWeight);
-      if (lineHeight) this.overlayProcessor.setLineHeight(lineHeight);
-
-      // Update other configuration options
-      const configUpdates = {};
-      if (textColor) configUpdates.textColor = textColor;
-      if (bubbleColor) configUpdates.bubbleColor = bubbleColor;
-
-      if (Object.keys(configUpdates).length > 0) {
-        this.overlayProcessor.updateConfig(configUpdates);
-      }
-
-      res.json({
-        success: true,
-        message: "Configuration updated successfully",
-        data: {
-          currentConfig: this.overlayProcessor.config,
-        },
-      });
-    } catch (error) {
-      throw error;
+    res.set({
+      "Content-Type": output.mimeType,
+      "Content-Length": buffer.length,
+      "Content-Disposition": `inline; filename="overlay-${Date.now()}.${
+        output.extension
+      }"`,
+      "X-Image-Width": layout.width,
+      "X-Image-Height": layout.height,
+      "X-Image-Format": output.format,
+      "X-Image-Fits-Max-Bytes": output.fitsMaxBytes,
+      "X-Font-Size": layout.layers[0].fontSize,
+      "X-Text-Layers": layout.layers.length,
+      "X-Line-Count": lineCount,
+      "X-Fits": layout.layers.every((layer) => layer.fits !== false),
+    });
+    if (output.quality !== null) {
+      res.set("X-Image-Quality", output.quality);
     }
+    res.end(buffer);
   }
 
   /**
-   * Handle text preview functionality
+   * Read the text to draw: a single "text" or a "layers" array of
+   * independent text blocks
+   *
+   * @param {Object} body - Request body
+   * @param {Object} options - Request-level render options
+   * @returns {{layers: Object[]|null, hasLayers: boolean, error: string|null, message: string|null}}
+   *   Renderer layers, or the error response
    */
-  handleTextPreview(req, res) {
-    const { text, options } = req.body;
+  resolveTextLayers(body, options) {
+    const hasLayers = body.layers !== undefined && body.layers !== "";
+    if (hasLayers) {
+      const parsed = this.parseTextLayers(body.layers, options);
+      return parsed.error
+        ? {
+            layers: null,
+            hasLayers,
+            error: "Invalid layers",
+            message: parsed.error,
+          }
+        : { layers: parsed.layers, hasLayers, error: null, message: null };
+    }
 
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
+    if (typeof body.text !== "string" || body.text.trim().length === 0) {
+      return {
+        layers: null,
+        hasLayers,
         error: "No text provided",
-        message: "Please provide text content for preview",
-      });
+        message:
+          'Please provide text content in the "text" field or a "layers" array',
+      };
+    }
+    if (body.text.length > MAX_TEXT_LENGTH) {
+      return {
+        layers: null,
+        hasLayers,
+        error: "Text too long",
+        message: `"text" may be at most ${MAX_TEXT_LENGTH} characters`,
+      };
     }
+    return {
+      layers: [{ text: body.text.trim() }],
+      hasLayers,
+      error: null,
+      message: null,
+    };
+  }
 
+  /**
+   * Parse a "layers" field into renderer layers
+   * Each layer is { text, style, template, preset, zIndex }; its style is
+   * resolved like a request (template, preset, then style) over the
+   * request-level options.
+   *
+   * @param {string|Object[]} rawLayers - JSON string (multipart) or array
+   * @param {Object} baseOptions - Request-level options shared by every layer
+   * @returns {{layers: Object[]|null, error: string|null}}
+   */
+  parseTextLayers(rawLayers, baseOptions = {}) {
+    let definitions;
     try {
-      const previewLines = this.overlayProcessor.previewBalancedText(
-        text,
-        options
-      );
+      definitions =
+        typeof rawLayers === "string" ? JSON.parse(rawLayers) : rawLayers;
+    } catch (parseError) {
+      return {
+        layers: null,
+        error: '"layers" must be a JSON array of { text, style } objects',
+      };
+    }
+
+    if (
+      !Array.isArray(definitions) ||
+      definitions.length === 0 ||
+      definitions.length > MAX_TEXT_LAYERS
+    ) {
+      return {
+        layers: null,
+        error: `"layers" must be an array of 1 to ${MAX_TEXT_LAYERS} layers`,
+      };
+    }
+
+    const layers = [];
+    for (const [index, layer] of definitions.entries()) {
+      if (
+        !layer ||
+        typeof layer.text !== "string" ||
+        layer.text.trim().length === 0
+      ) {
+        return {
+          layers: null,
+          error: `Layer ${index + 1} is missing its "text"`,
+        };
+      }
+      if (layer.text.length > MAX_TEXT_LENGTH) {
+        return {
+          layers: null,
+          error: `Layer ${
+            index + 1
+          }: "text" may be at most ${MAX_TEXT_LENGTH} characters`,
+        };
+      }
+
+      const zIndex = layer.zIndex === undefined ? 0 : Number(layer.zIndex);
+      if (!Number.isInteger(zIndex)) {
+        return {
+          layers: null,
+          error: `Layer ${index + 1}: "zIndex" must be an integer`,
+        };
+      }
 
-      res.json({
-        success: true,
-        message: "Text preview generated successfully",
-        data: {
-          originalText: text,
-          lines: previewLines,
-          lineCount: previewLines.length,
-          preview: previewLines.map((line, index) => ({
-            lineNumber: index + 1,
-            text: line,
-            wordCount: line.split(" ").length,
-            characterCount: line.length,
-          })),
+      const { options, error } = this.buildRenderOptions(
+        {
+          ...(layer.style || {}),
+          template: layer.template,
+          preset: layer.preset,
         },
-      });
-    } catch (error) {
-      throw error;
+        baseOptions
+      );
+      if (error) {
+        return { layers: null, error: `Layer ${index + 1}: ${error}` };
+      }
+
+      layers.push({ text: layer.text.trim(), options, zIndex });
     }
+
+    return { layers, error: null };
   }
 
   /**
-   * Initialize error handling middleware
+   * Handle multi-slide carousel rendering
+   *
+   * Expects ordered "images" files plus a "slides" JSON array where each entry
+   * is { text, style, template, preset } for the image at the same index. A
+   * top-level "template" and "preset" apply to every slide. Returns every slide as
+   * base64 (default) or a ZIP archive when "output" is "zip", along with a
+   * manifest of each slide's lines and bubble geometry.
    */
-  initializeErrorHandling() {
-    // Multer error handling
-    this.app.use((error, req, res, next) => {
-      if (error instanceof multer.MulterError) {
-        if (error.code === "LIMIT_FILE_SIZE") {
-          return res.status(400).json({
-            error: "File too large",
-            message: "File size must be less than 10MB",
-          });
-        }
-        return res.status(400).json({
-          error: "File upload error",
-          message: error.message,
-        });
-      }
-      next(error);
-    });
+  async handleCarousel(req, res) {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: "No image files provided",
+        message: 'Please upload slide images using the "images" field',
+      });
+    }
 
-    // General error handling
-    this.app.use((error, req, res, next) => {
+    let slides;
+    try {
+      slides =
+        typeof req.body.slides === "string"
+          ? JSON.parse(req.body.slides)
+          : req.body.slides;
+    } catch (parseError) {
+      return res.status(400).json({
+        error: "Invalid slides",
+        message: '"slides" must be a JSON array of { text, style } objects',
+      });
+    }
+
+    if (!Array.isArray(slides) || slides.length !== files.length) {
+      const received = Array.isArray(slides) ? slides.length : 0;
+      return res.status(400).json({
+        error: "Invalid slides",
+        message: `Expected ${files.length} slide definitions (one per image), received ${received}`,
+      });
+    }
+
+    const invalidFile = files.findIndex((file) => !sniffImageType(file.buffer));
+    if (invalidFile !== -1) {
+      return res.status(400).json({
+        error: "Invalid file type",
+        message: `Image ${
+          invalidFile + 1
+        }: only JPEG, PNG, and WebP images are allowed.`,
+      });
+    }
+
+    const invalidIndex = slides.findIndex(
+      (slide) =>
+        !slide ||
+        typeof slide.text !== "string" ||
+        slide.text.trim().length === 0
+    );
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        error: "No text provided",
+        message: `Slide ${invalidIndex + 1} is missing its "text"`,
+      });
+    }
+
+    const requested = req.body.output || "base64";
+    const output =
+      typeof requested === "string" ? requested.toLowerCase() : null;
+    if (!["base64", "zip"].includes(output)) {
+      return res.status(400).json({
+        error: "Invalid output",
+        message: 'Output must be "base64" or "zip"',
+      });
+    }
+
+    // Resolve every slide's options up front so a bad slide fails before rendering
+    const carousel = this.buildRenderOptions({
+      template: req.body.template,
+      preset: req.body.preset,
+    });
+    if (carousel.error) {
+      return res.status(400).json({
+        error: "Invalid options",
+        message: carousel.error,
+      });
+    }
+
+    const slideOptions = [];
+    for (const [index, slide] of slides.entries()) {
+      const { options, error } = this.buildRenderOptions(
+        {
+          ...(slide.style || {}),
+          template: slide.template,
+          preset: slide.preset,
+        },
+        carousel.options
+      );
+      if (error) {
+        return res.status(400).json({
+          error: "Invalid options",
+          message: `Slide ${index + 1}: ${error}`,
+        });
+      }
+      slideOptions.push(options);
+    }
+
+    // Render slides in parallel on the pool, admitted or rejected together;
+    // results keep the slide order
+    const results = await this.renderPool.runBatch(
+      slides.map((slide, index) => ({
+        method: "addTextOverlayWithLayout",
+        args: [files[index].buffer, slide.text.trim(), slideOptions[index]],
+      }))
+    );
+
+    const rendered = results.map(({ buffer, layout }, index) => {
+      const file = files[index];
+      const text = slides[index].text.trim();
+      return {
+        buffer,
+        manifest: {
+          slide: index + 1,
+          fileName: `slide-${String(index + 1).padStart(2, "0")}.${
+            layout.output.extension
+          }`,
+          originalImage: file.originalname,
+          text,
+          ...layout,
+        },
+      };
+    });
+
+    const manifest = rendered.map((slide) => slide.manifest);
+
+    if (output === "zip") {
+      return this.sendCarouselZip(res, rendered, manifest);
+    }
+
+    res.json({
+      success: true,
+      message: "Carousel processed successfully",
+      data: {
+        slideCount: rendered.length,
+        images: rendered.map((slide) => slide.buffer.toString("base64")),
+        manifest,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  }
+
+  /**
+   * Build per-request render options: a template (with its bases), then a
+   * named preset, overlaid with request style
+   *
+   * @param {Object} source - Request fields (body or slide definition)
+   * @param {Object} baseOptions - Options inherited from an outer scope (e.g. carousel)
+   * @returns {{options: Object|null, error: string|null}}
+   */
+  buildRenderOptions(source = {}, baseOptions = {}) {
+    let templateStyle = {};
+    if (source.template) {
+      const template = this.templateStore.resolve(source.template);
+      if (template.error) {
+        return { options: null, error: template.error };
+      }
+      templateStyle = template.style;
+    }
+
+    let presetStyle = {};
+    if (source.preset) {
+      const preset = this.presetStore.get(source.preset);
+      if (!preset) {
+        return {
+          options: null,
+          error: `Preset "${source.preset}" does not exist`,
+        };
+      }
+      presetStyle = preset.style;
+    }
+
+    const { options, invalidKeys } = parseStyleOptions(source);
+    if (invalidKeys.length > 0) {
+      return {
+        options: null,
+        error: `Invalid value for ${invalidKeys.join(", ")}`,
+      };
+    }
+
+    const merged = {
+      ...baseOptions,
+      ...templateStyle,
+      ...presetStyle,
+      ...options,
+    };
+    const fontError = this.validateFontFamily(merged.fontFamily);
+    if (fontError) {
+      return { options: null, error: fontError };
+    }
+
+    return { options: merged, error: null };
+  }
+
+  /**
+   * Check that a requested font family is registered
+   *
+   * @param {string} fontFamily - Requested family (undefined means the default)
+   * @returns {string|null} Error message, or null when the family is usable
+   */
+  validateFontFamily(fontFamily) {
+    if (!fontFamily || this.fontRegistry.hasFamily(fontFamily)) {
+      return null;
+    }
+
+    const available = this.fontRegistry
+      .listFamilies()
+      .map((font) => font.family)
+      .join(", ");
+    return `Font family "${fontFamily}" is not registered. Available fonts: ${available}. Upload it via POST /api/fonts`;
+  }
+
+  /**
+   * Stream rendered carousel slides as a ZIP archive with a manifest.json
+   */
+  sendCarouselZip(res, rendered, manifest) {
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="carousel-${Date.now()}.zip"`
+    );
+
+    archive.on("error", (error) => {
+      console.error("Failed to build carousel archive:", error);
+      res.destroy(error);
+    });
+
+    archive.pipe(res);
+    rendered.forEach((slide) => {
+      archive.append(slide.buffer, { name: slide.manifest.fileName });
+    });
+    archive.append(JSON.stringify(manifest, null, 2), {
+      name: "manifest.json",
+    });
+
+    return archive.finalize();
+  }
+
+  /**
+   * Handle listing registered fonts
+   */
+  handleListFonts(req, res) {
+    res.json({
+      success: true,
+      message: "Fonts retrieved successfully",
+      data: {
+        fonts: this.fontRegistry.listFamilies(),
+        defaultFamily: this.overlayProcessor.config.fontFamily,
+      },
+    });
+  }
+
+  /**
+   * Handle uploading an additional TTF/OTF font
+   */
+  handleFontUpload(req, res) {
+    if (!req.file) {
+      return res.status(400).json({
+        error: "No font file provided",
+        message: 'Please upload a .ttf or .otf file using the "font" field',
+      });
+    }
+
+    let font;
+    try {
+      font = this.fontRegistry.addUploadedFont(
+        req.file.buffer,
+        req.file.originalname
+      );
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid font file",
+        message: error.message,
+      });
+    }
+
+    // The face is already usable in every thread; workers only need to know
+    // the family exists to accept it
+    this.renderPool.broadcast({
+      type: "registerFont",
+      filePath: path.join(this.fontRegistry.uploadDir, font.file),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Font registered successfully",
+      data: {
+        font,
+        fonts: this.fontRegistry.listFamilies(),
+      },
+    });
+  }
+
+  /**
+   * Handle listing saved presets
+   */
+  handleListPresets(req, res) {
+    res.json({
+      success: true,
+      message: "Presets retrieved successfully",
+      data: {
+        presets: this.presetStore.list(),
+        defaults: this.overlayProcessor.config,
+      },
+    });
+  }
+
+  /**
+   * Handle fetching a single preset
+   */
+  handleGetPreset(req, res) {
+    const preset = this.presetStore.get(req.params.name);
+    if (!preset) {
+      return res.status(404).json({
+        error: "Preset not found",
+        message: `Preset "${req.params.name}" does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Preset retrieved successfully",
+      data: {
+        preset,
+        resolvedStyle: this.overlayProcessor.resolveStyle(preset.style),
+      },
+    });
+  }
+
+  /**
+   * Handle saving a named preset
+   * Accepts either { name, style: {...} } or the flat legacy /api/configure body.
+   */
+  handleSavePreset(req, res) {
+    const { name } = req.body;
+
+    if (
+      typeof name !== "string" ||
+      !PRESET_NAME_PATTERN.test(name) ||
+      RESERVED_NAMES.includes(name)
+    ) {
+      return res.status(400).json({
+        error: "Invalid preset name",
+        message: `Provide a "name" of 1-64 letters, numbers, dashes or underscores (not ${RESERVED_NAMES.join(
+          ", "
+        )})`,
+      });
+    }
+
+    const { options, invalidKeys } = parseStyleOptions(
+      req.body.style || req.body
+    );
+    if (invalidKeys.length > 0) {
+      return res.status(400).json({
+        error: "Invalid options",
+        message: `Invalid value for ${invalidKeys.join(", ")}`,
+      });
+    }
+
+    const fontError = this.validateFontFamily(options.fontFamily);
+    if (fontError) {
+      return res.status(400).json({
+        error: "Unknown font family",
+        message: fontError,
+      });
+    }
+
+    if (Object.keys(options).length === 0) {
+      return res.status(400).json({
+        error: "No options provided",
+        message: `Provide at least one of: ${Object.keys(
+          STYLE_OPTION_PARSERS
+        ).join(", ")}`,
+      });
+    }
+
+    const preset = this.presetStore.save(name, options);
+
+    res.json({
+      success: true,
+      message: "Preset saved successfully",
+      data: {
+        preset,
+        resolvedStyle: this.overlayProcessor.resolveStyle(preset.style),
+      },
+    });
+  }
+
+  /**
+   * Handle deleting a preset
+   */
+  handleDeletePreset(req, res) {
+    if (!this.presetStore.remove(req.params.name)) {
+      return res.status(404).json({
+        error: "Preset not found",
+        message: `Preset "${req.params.name}" does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Preset deleted successfully",
+      data: { name: req.params.name },
+    });
+  }
+
+  /**
+   * Handle listing templates
+   */
+  handleListTemplates(req, res) {
+    res.json({
+      success: true,
+      message: "Templates retrieved successfully",
+      data: {
+        templates: this.templateStore.list(),
+      },
+    });
+  }
+
+  /**
+   * Handle fetching a single template with its inherited style
+   */
+  handleGetTemplate(req, res) {
+    if (!toTemplateId(req.params.id)) {
+      return this.sendInvalidTemplateId(res, req.params.id);
+    }
+
+    const template = this.templateStore.get(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        error: "Template not found",
+        message: `Template "${req.params.id}" does not exist`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Template retrieved successfully",
+      data: this.describeTemplate(template),
+    });
+  }
+
+  /**
+   * Handle creating a template
+   * Expects { id, name, description, extends, style }; ids are never reused.
+   */
+  handleCreateTemplate(req, res) {
+    const { template, errors } = parseTemplateDefinition(req.body);
+    if (template && !template.id) {
+      errors.push(
+        `Provide an "id" of 1-64 letters, numbers, dashes or underscores (not ${RESERVED_NAMES.join(
+          ", "
+        )})`
+      );
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid template",
+        message: errors.join("; "),
+      });
+    }
+
+    if (this.templateStore.get(template.id)) {
+      return res.status(409).json({
+        error: "Template already exists",
+        message: `Template "${template.id}" already exists. Use PUT /api/templates/${template.id} to replace it`,
+      });
+    }
+
+    this.saveTemplate(res, template.id, template, 201);
+  }
+
+  /**
+   * Handle replacing a template
+   * The body is a full template document; an "id" in it must match the URL.
+   */
+  handleUpdateTemplate(req, res) {
+    const { id } = req.params;
+    if (!toTemplateId(id)) {
+      return this.sendInvalidTemplateId(res, id);
+    }
+    if (!this.templateStore.get(id)) {
+      return res.status(404).json({
+        error: "Template not found",
+        message: `Template "${id}" does not exist`,
+      });
+    }
+
+    const { template, errors } = parseTemplateDefinition(req.body);
+    if (template && template.id && template.id !== id) {
+      errors.push(`"id" must match the template being updated ("${id}")`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid template",
+        message: errors.join("; "),
+      });
+    }
+
+    this.saveTemplate(res, id, template, 200);
+  }
+
+  /**
+   * Check a template's base and effective style, then save it
+   *
+   * @param {Object} res - Express response
+   * @param {string} id - Template id
+   * @param {Object} template - Template parsed by parseTemplateDefinition
+   * @param {number} status - Response status on success
+   */
+  saveTemplate(res, id, template, status) {
+    let baseStyle = {};
+    if (template.extends) {
+      const base = this.templateStore.resolve(template.extends);
+      let error = base.error;
+      if (!error && base.chain.includes(id)) {
+        error = `Template "${id}" cannot extend "${template.extends}", which inherits from it`;
+      } else if (!error && base.chain.length >= MAX_TEMPLATE_DEPTH) {
+        error = `Templates can inherit through at most ${MAX_TEMPLATE_DEPTH} templates`;
+      }
+      if (error) {
+        return res.status(400).json({
+          error: "Invalid template",
+          message: error,
+        });
+      }
+      baseStyle = base.style;
+    }
+
+    const fontError = this.validateFontFamily(
+      template.style.fontFamily || baseStyle.fontFamily
+    );
+    if (fontError) {
+      return res.status(400).json({
+        error: "Unknown font family",
+        message: fontError,
+      });
+    }
+
+    const saved = this.templateStore.save(id, template);
+
+    res.status(status).json({
+      success: true,
+      message: "Template saved successfully",
+      data: this.describeTemplate(saved),
+    });
+  }
+
+  /**
+   * Handle deleting a template (refused while other templates extend it)
+   */
+  handleDeleteTemplate(req, res) {
+    const { id } = req.params;
+    if (!toTemplateId(id)) {
+      return this.sendInvalidTemplateId(res, id);
+    }
+    if (!this.templateStore.get(id)) {
+      return res.status(404).json({
+        error: "Template not found",
+        message: `Template "${id}" does not exist`,
+      });
+    }
+
+    const derived = this.templateStore.findDerived(id);
+    if (derived.length > 0) {
+      return res.status(409).json({
+        error: "Template in use",
+        message: `Template "${id}" is extended by ${derived.join(
+          ", "
+        )}. Update or delete those first`,
+      });
+    }
+
+    this.templateStore.remove(id);
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+      data: { id },
+    });
+  }
+
+  /**
+   * Reject a template id from the URL that no template could have
+   */
+  sendInvalidTemplateId(res, id) {
+    return res.status(400).json({
+      error: "Invalid template id",
+      message: `"${id}" is not a template id. Ids are 1-64 letters, numbers, dashes or underscores (not ${RESERVED_NAMES.join(
+        ", "
+      )})`,
+    });
+  }
+
+  /**
+   * Response data for a template: its own fields, the chain it inherits
+   * through and the style a render referencing it starts from
+   *
+   * @param {Object} template - Stored template
+   * @returns {Object} { template, inheritance, style, resolvedStyle }
+   */
+  describeTemplate(template) {
+    // A base removed by hand from templates.json leaves the chain unresolved
+    const { style, chain } = this.templateStore.resolve(template.id);
+    return {
+      template,
+      inheritance: chain,
+      style,
+      resolvedStyle: style ? this.overlayProcessor.resolveStyle(style) : null,
+    };
+  }
+
+  /**
+   * Handle preview render requests
+   * Renders like /api/text-overlay at a fraction of the output size ("scale",
+   * default 0.35) and always answers with a PNG, so the preview app can
+   * diff it against its own canvas pixel by pixel. The image is optional;
+   * without one the text is drawn on a plain letterboxColor background.
+   */
+  async handlePreviewRender(req, res) {
+    const { imageBase64, imageUrl } = req.body;
+    let image = null;
+    if (req.file || imageBase64 || imageUrl) {
+      const source = await this.resolveImageSource(req);
+      if (source.error) {
+        return res.status(source.status).json({
+          error: source.error,
+          message: source.message,
+        });
+      }
+      image = source.image;
+    }
+
+    const scale =
+      req.body.scale === undefined
+        ? DEFAULT_PREVIEW_SCALE
+        : toNumber(req.body.scale);
+    if (
+      scale === undefined ||
+      scale < MIN_PREVIEW_SCALE ||
+      scale > MAX_PREVIEW_SCALE
+    ) {
+      return res.status(400).json({
+        error: "Invalid scale",
+        message: `"scale" must be between ${MIN_PREVIEW_SCALE} and ${MAX_PREVIEW_SCALE}`,
+      });
+    }
+
+    const { options, error } = this.buildRenderOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: "Invalid options",
+        message: error,
+      });
+    }
+
+    const text = this.resolveTextLayers(req.body, options);
+    if (text.error) {
+      return res.status(400).json({
+        error: text.error,
+        message: text.message,
+      });
+    }
+
+    // Pixel metrics follow the output size, so a scaled render keeps the
+    // layout. Layers carry the request size in their options as well.
+    const { width, height } = this.overlayProcessor.resolveStyle(options);
+    const previewSize = {
+      width: Math.max(MIN_OUTPUT_DIMENSION, Math.round(width * scale)),
+      height: Math.max(MIN_OUTPUT_DIMENSION, Math.round(height * scale)),
+    };
+    const layers = text.layers.map((layer) => ({
+      ...layer,
+      options: { ...(layer.options || {}), ...previewSize },
+    }));
+    const previewOptions = {
+      ...options,
+      ...previewSize,
+      format: "png",
+      quality: undefined,
+      maxBytes: undefined,
+    };
+
+    const { buffer, layout } = await this.renderPool.run(
+      "addTextLayersWithLayout",
+      [image && image.buffer, layers, previewOptions]
+    );
+
+    res.set("X-Preview-Scale", String(scale));
+    this.sendImage(res, buffer, layout);
+  }
+
+  /**
+   * Handle layout-only requests
+   * Takes the same text, layers and style options as /api/text-overlay and
+   * returns the geometry the render would use: every line's text, measured
+   * width, bubble rectangle and baseline, the final font size and any
+   * safe-zone violations. No image is needed and nothing is drawn.
+   */
+  async handleLayout(req, res) {
+    const { options, error } = this.buildRenderOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: "Invalid options",
+        message: error,
+      });
+    }
+
+    const text = this.resolveTextLayers(req.body, options);
+    if (text.error) {
+      return res.status(400).json({
+        error: text.error,
+        message: text.message,
+      });
+    }
+
+    // Measuring long text takes a while; keep it off the event loop
+    const style = this.overlayProcessor.resolveStyle(options);
+    const { layout: layerLayouts } = await this.renderPool.run("layoutLayers", [
+      text.layers,
+      options,
+    ]);
+
+    const layoutLayers = layerLayouts.map((layer) => ({
+      index: layer.index,
+      zIndex: layer.zIndex,
+      fontSize: layer.fontSize,
+      lineHeight: layer.fontSize * layer.lineHeight,
+      fits: layer.fits,
+      direction: layer.direction,
+      textAlign: layer.textAlign,
+      safeZone: layer.safeZone,
+      block: layer.block,
+      // Text is drawn centered on its baseline point with a middle baseline
+      textBaseline: "middle",
+      lines: layer.lines.map((line) => ({
+        index: line.index,
+        text: line.text,
+        width: line.textWidth,
+        x: line.textX - line.textWidth / 2,
+        baseline: line.textY,
+        bubble: line.bubble,
+      })),
+      safeZoneViolations: layer.safeZoneViolations,
+    }));
+
+    res.json({
+      success: true,
+      message: "Layout computed successfully",
+      data: {
+        width: style.width,
+        height: style.height,
+        // False when a layer overflows its auto-fit box or enters a UI zone
+        valid: layoutLayers.every(
+          (layer) =>
+            layer.fits !== false && layer.safeZoneViolations.length === 0
+        ),
+        layers: layoutLayers,
+      },
+    });
+  }
+
+  /**
+   * Handle text preview functionality
+   * Returns the line split for "text" and the computed layout of every
+   * layer ("text" alone counts as one layer).
+   */
+  async handleTextPreview(req, res) {
+    const { text, layers: rawLayers } = req.body;
+    const hasText = typeof text === "string" && text.trim().length > 0;
+
+    if (!hasText && rawLayers === undefined) {
+      return res.status(400).json({
+        error: "No text provided",
+        message: "Please provide text content or layers for preview",
+      });
+    }
+    if (hasText && text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({
+        error: "Text too long",
+        message: `"text" may be at most ${MAX_TEXT_LENGTH} characters`,
+      });
+    }
+
+    const { options, error } = this.buildRenderOptions(req.body.options || {});
+    if (error) {
+      return res.status(400).json({
+        error: "Invalid options",
+        message: error,
+      });
+    }
+
+    let layers = [{ text: hasText ? text.trim() : "" }];
+    if (rawLayers !== undefined) {
+      const parsed = this.parseTextLayers(rawLayers, options);
+      if (parsed.error) {
+        return res.status(400).json({
+          error: "Invalid layers",
+          message: parsed.error,
+        });
+      }
+      layers = parsed.layers;
+    }
+
+    // Both measurements run on the pool, admitted together
+    const [{ layout: layerLayouts }, preview] = await this.renderPool.runBatch([
+      { method: "layoutLayers", args: [layers, options] },
+      ...(hasText
+        ? [{ method: "previewBalancedText", args: [text, options] }]
+        : []),
+    ]);
+    const previewLines = preview ? preview.layout : [];
+
+    res.json({
+      success: true,
+      message: "Text preview generated successfully",
+      data: {
+        originalText: hasText ? text : null,
+        lines: previewLines,
+        lineCount: previewLines.length,
+        preview: previewLines.map((line, index) => ({
+          lineNumber: index + 1,
+          text: line,
+          wordCount: line.split(" ").length,
+          characterCount: line.length,
+        })),
+        layers: layerLayouts,
+      },
+    });
+  }
+
+  /**
+   * Send an error response from inside a route handler
+   */
+  handleError(error, res) {
+    if (res.headersSent) {
+      console.error("API Error:", error);
+      return res.end();
+    }
+
+    // Backpressure from the render pool
+    if (error.code === "RENDER_QUEUE_FULL") {
+      console.warn("⏳ Render queue full, rejecting request");
+      res.set("Retry-After", String(error.retryAfter));
+      return res.status(503).json({
+        error: "Server busy",
+        message: `Too many renders in progress. Retry in ${error.retryAfter}s`,
+        retryAfter: error.retryAfter,
+      });
+    }
+    if (error.code === "RENDER_POOL_UNAVAILABLE") {
+      console.error("API Error:", error.message);
+      return res.status(503).json({
+        error: "Renderer unavailable",
+        message: error.message,
+      });
+    }
+    if (error.code === "INVALID_IMAGE") {
+      return res.status(400).json({
+        error: "Invalid image",
+        message: `The image could not be decoded (${error.message})`,
+      });
+    }
+    if (error.code === "RENDER_TIMEOUT") {
+      console.error("API Error:", error.message);
+      return res.status(504).json({
+        error: "Render timed out",
+        message: error.message,
+      });
+    }
+
+    console.error("API Error:", error);
+
+    res.status(500).json({
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "production"
+          ? "An unexpected error occurred"
+          : error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Initialize error handling middleware
+   */
+  initializeErrorHandling() {
+    // Multer error handling
+    this.app.use((error, req, res, next) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === "LIMIT_FILE_SIZE") {
+          return res.status(400).json({
+            error: "File too large",
+            message: "File size must be less than 10MB",
+          });
+        }
+        return res.status(400).json({
+          error: "File upload error",
+          message: error.message,
+        });
+      }
+      next(error);
+    });
+
+    // General error handling
+    this.app.use((error, req, res, next) => {
       console.error("API Error:", error);
 
       res.status(500).json({
@@ -361,7 +1885,21 @@ class TikTokTextOverlayAPI {
         availableEndpoints: [
           "GET /health",
           "POST /api/text-overlay",
+          "POST /api/carousel",
+          "GET /api/fonts",
+          "POST /api/fonts",
+          "GET /api/presets",
+          "GET /api/presets/:name",
+          "POST /api/presets",
           "POST /api/configure",
+          "DELETE /api/presets/:name",
+          "GET /api/templates",
+          "GET /api/templates/:id",
+          "POST /api/templates",
+          "PUT /api/templates/:id",
+          "DELETE /api/templates/:id",
+          "POST /api/preview-render",
+          "POST /api/layout",
           "POST /api/preview-text",
         ],
       });
@@ -381,7 +1919,17 @@ class TikTokTextOverlayAPI {
         `🖼️  Text overlay endpoint: http://localhost:${this.port}/api/text-overlay`
       );
       console.log(
-        `⚙️  Configuration endpoint: http://localhost:${this.port}/api/configure`
+        `🎠 Carousel endpoint: http://localhost:${this.port}/api/carousel`
+      );
+      console.log(`🔤 Fonts endpoint: http://localhost:${this.port}/api/fonts`);
+      console.log(
+        `⚙️  Presets endpoint: http://localhost:${this.port}/api/presets`
+      );
+      console.log(
+        `🎨 Templates endpoint: http://localhost:${this.port}/api/templates`
+      );
+      console.log(
+        `📐 Layout endpoint: http://localhost:${this.port}/api/layout`
       );
       console.log(
         `👀 Preview endpoint: http://localhost:${this.port}/api/preview-text`
@@ -0,0 +1,80 @@
+/**
+ * Background fitting modes for non-9:16 source images
+ *
+ * - stretch:   legacy behaviour, scales the image to the canvas (distorts)
+ * - cover:     fills the canvas and crops the overflow around a focal point
+ * - contain:   fits the whole image and letterboxes with a solid color
+ * - blur-fill: contains the image over a blurred, cover-scaled copy of itself
+ *
+ * Only the geometry lives here; the renderer and the preview draw it.
+ */
+const FIT_MODES = ["stretch", "cover", "contain", "blur-fill"];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Source crop rectangle that covers the canvas without distortion
+ *
+ * @param {number} imageWidth - Source image width
+ * @param {number} imageHeight - Source image height
+ * @param {number} canvasWidth - Target canvas width
+ * @param {number} canvasHeight - Target canvas height
+ * @param {number} focalX - Horizontal focal point (0 = left, 1 = right)
+ * @param {number} focalY - Vertical focal point (0 = top, 1 = bottom)
+ * @returns {{sx: number, sy: number, sWidth: number, sHeight: number}}
+ */
+function calculateCoverRect(
+  imageWidth,
+  imageHeight,
+  canvasWidth,
+  canvasHeight,
+  focalX = 0.5,
+  focalY = 0.5
+) {
+  const scale = Math.max(canvasWidth / imageWidth, canvasHeight / imageHeight);
+  const sWidth = canvasWidth / scale;
+  const sHeight = canvasHeight / scale;
+
+  // Center the crop on the focal point, then keep it inside the image
+  const sx = clamp(focalX * imageWidth - sWidth / 2, 0, imageWidth - sWidth);
+  const sy = clamp(
+    focalY * imageHeight - sHeight / 2,
+    0,
+    imageHeight - sHeight
+  );
+
+  return { sx, sy, sWidth, sHeight };
+}
+
+/**
+ * Destination rectangle that fits the whole image inside the canvas
+ *
+ * @param {number} imageWidth - Source image width
+ * @param {number} imageHeight - Source image height
+ * @param {number} canvasWidth - Target canvas width
+ * @param {number} canvasHeight - Target canvas height
+ * @returns {{dx: number, dy: number, dWidth: number, dHeight: number}}
+ */
+function calculateContainRect(
+  imageWidth,
+  imageHeight,
+  canvasWidth,
+  canvasHeight
+) {
+  const scale = Math.min(canvasWidth / imageWidth, canvasHeight / imageHeight);
+  const dWidth = imageWidth * scale;
+  const dHeight = imageHeight * scale;
+
+  return {
+    dx: (canvasWidth - dWidth) / 2,
+    dy: (canvasHeight - dHeight) / 2,
+    dWidth,
+    dHeight,
+  };
+}
+
+module.exports = {
+  FIT_MODES,
+  calculateCoverRect,
+  calculateContainRect,
+};
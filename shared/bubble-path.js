@@ -0,0 +1,177 @@
+/**
+ * Connected bubble outlines
+ *
+ * TikTok's native multi-line captions draw one contiguous background whose
+ * outline steps in and out with each line's width, with rounded outer
+ * corners and smooth concave corners where a narrower line meets a wider
+ * one. This module turns per-line rectangles into that single outline as a
+ * list of path commands that any Canvas 2D-like context can replay
+ * (@napi-rs/canvas on the server, Konva's scene context in the preview).
+ */
+
+// 'separate': one rounded rectangle per line; 'connected': one merged outline
+const BUBBLE_SHAPES = ["separate", "connected"];
+
+// Steps narrower than this are treated as straight edges
+const EPSILON = 0.5;
+
+/**
+ * Build the rectilinear outline polygon for stacked line rectangles
+ * The right side is walked top to bottom and the left side bottom to top
+ * (clockwise on screen). Adjacent lines meet halfway through their overlap.
+ *
+ * @param {Object[]} rects - Line rectangles { x, y, width, height }, top to bottom
+ * @returns {Object[]} Polygon vertices { x, y }
+ */
+function buildOutlinePolygon(rects) {
+  const lines = [...rects].sort((a, b) => a.y - b.y);
+
+  // Boundary between line i and line i + 1
+  const seams = lines.slice(1).map((line, index) => {
+    const previous = lines[index];
+    return (previous.y + previous.height + line.y) / 2;
+  });
+
+  const top = lines[0].y;
+  const last = lines[lines.length - 1];
+  const bottom = last.y + last.height;
+
+  const right = [{ x: lines[0].x + lines[0].width, y: top }];
+  seams.forEach((seamY, index) => {
+    right.push({ x: lines[index].x + lines[index].width, y: seamY });
+    right.push({ x: lines[index + 1].x + lines[index + 1].width, y: seamY });
+  });
+  right.push({ x: last.x + last.width, y: bottom });
+
+  const left = [{ x: last.x, y: bottom }];
+  for (let index = seams.length - 1; index >= 0; index--) {
+    left.push({ x: lines[index + 1].x, y: seams[index] });
+    left.push({ x: lines[index].x, y: seams[index] });
+  }
+  left.push({ x: lines[0].x, y: top });
+
+  return simplifyPolygon([...right, ...left]);
+}
+
+/**
+ * Drop duplicate and collinear vertices (e.g. lines of equal width)
+ *
+ * @param {Object[]} points - Polygon vertices
+ * @returns {Object[]} Simplified vertices
+ */
+function simplifyPolygon(points) {
+  let result = points.filter((point, index) => {
+    const previous = points[(index - 1 + points.length) % points.length];
+    return (
+      Math.abs(point.x - previous.x) > EPSILON ||
+      Math.abs(point.y - previous.y) > EPSILON
+    );
+  });
+
+  let changed = true;
+  while (changed && result.length > 3) {
+    changed = false;
+    for (let index = 0; index < result.length; index++) {
+      const previous = result[(index - 1 + result.length) % result.length];
+      const point = result[index];
+      const next = result[(index + 1) % result.length];
+      const sameX =
+        Math.abs(previous.x - point.x) <= EPSILON &&
+        Math.abs(point.x - next.x) <= EPSILON;
+      const sameY =
+        Math.abs(previous.y - point.y) <= EPSILON &&
+        Math.abs(point.y - next.y) <= EPSILON;
+
+      if (sameX || sameY) {
+        result = result.filter((_, i) => i !== index);
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build path commands for a single connected bubble around all lines
+ *
+ * Each polygon corner is rounded with arcTo: convex corners use the outer
+ * radius and concave (inner) corners the inner radius. Radii are clamped to
+ * half of the shorter adjoining edge so small width steps stay smooth.
+ *
+ * @param {Object[]} rects - Line rectangles { x, y, width, height }
+ * @param {Object} options
+ * @param {number} options.radius - Outer corner radius
+ * @param {number} options.innerRadius - Inner (concave) corner radius
+ * @returns {Object[]} Path commands { op, args } ("moveTo", "arcTo", "closePath")
+ */
+function buildConnectedBubblePath(
+  rects,
+  { radius = 0, innerRadius = radius } = {}
+) {
+  if (!rects || rects.length === 0) {
+    return [];
+  }
+
+  const points = buildOutlinePolygon(rects);
+  const count = points.length;
+  const at = (index) => points[(index + count) % count];
+  const edgeLength = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+  // Start halfway along the closing edge so every vertex gets an arcTo
+  const first = at(0);
+  const lastPoint = at(-1);
+  const commands = [
+    {
+      op: "moveTo",
+      args: [(lastPoint.x + first.x) / 2, (lastPoint.y + first.y) / 2],
+    },
+  ];
+
+  for (let index = 0; index < count; index++) {
+    const previous = at(index - 1);
+    const point = at(index);
+    const next = at(index + 1);
+
+    // Clockwise on screen (y down): positive cross product means convex
+    const cross =
+      (point.x - previous.x) * (next.y - point.y) -
+      (point.y - previous.y) * (next.x - point.x);
+    const wanted = cross > 0 ? radius : innerRadius;
+    const cornerRadius = Math.max(
+      0,
+      Math.min(
+        wanted,
+        edgeLength(previous, point) / 2,
+        edgeLength(point, next) / 2
+      )
+    );
+
+    commands.push({
+      op: "arcTo",
+      args: [point.x, point.y, next.x, next.y, cornerRadius],
+    });
+  }
+
+  commands.push({ op: "closePath", args: [] });
+  return commands;
+}
+
+/**
+ * Replay path commands on a Canvas 2D-like context
+ * Does not call beginPath, so several shapes can share one path.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas (or Konva) context
+ * @param {Object[]} commands - Path commands from buildConnectedBubblePath
+ */
+function tracePath(ctx, commands) {
+  commands.forEach(({ op, args }) => ctx[op](...args));
+}
+
+module.exports = {
+  BUBBLE_SHAPES,
+  buildOutlinePolygon,
+  buildConnectedBubblePath,
+  tracePath,
+};
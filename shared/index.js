@@ -0,0 +1,22 @@
+/**
+ * Shared layout helpers
+ *
+ * Plain CommonJS (its only dependency, linebreak, is pure JavaScript) so the
+ * same code runs in the Node.js renderer and in the browser preview (bundled
+ * by webpack).
+ */
+const backgroundFit = require("./background-fit");
+const bubblePath = require("./bubble-path");
+const layout = require("./layout");
+const lineBreaking = require("./line-breaking");
+const positioning = require("./positioning");
+const safeZones = require("./safe-zones");
+
+module.exports = {
+  ...backgroundFit,
+  ...bubblePath,
+  ...layout,
+  ...lineBreaking,
+  ...positioning,
+  ...safeZones,
+};
@@ -0,0 +1,476 @@
+/**
+ * Caption layout engine
+ *
+ * Pure geometry for a caption block: line wrapping, bubble sizes, block
+ * placement (presets, anchors, safe zones) and the point each line's text is
+ * drawn at. Nothing here touches a canvas; text is measured through a
+ * function the caller passes in, so the Node.js renderer (@napi-rs/canvas) and
+ * the browser preview (an HTML canvas) get the same line boxes for the same
+ * measurements.
+ *
+ * Lines and words are opaque to the engine: the renderer passes arrays of
+ * styled runs, the preview passes strings. Only the measurer looks inside.
+ */
+const {
+  parseCoordinate,
+  resolveCoordinate,
+  calculateAnchoredOrigin,
+  alignLineX,
+} = require("./positioning");
+const { getSafeZones, clampRectToSafeArea } = require("./safe-zones");
+
+// Canvas size the pixel options are authored for. Other output sizes scale
+// every layout metric by the smaller of the two axis ratios, so a style looks
+// the same at 1024x1536 and 1080x1920.
+const REFERENCE_WIDTH = 1024;
+const REFERENCE_HEIGHT = 1536;
+
+// Pixel options scaled with the output size
+const SCALED_METRICS = [
+  "fontSize",
+  "minFontSize",
+  "maxFontSize",
+  "maxWidth",
+  "maxBlockHeight",
+  "highlightPadding",
+  "highlightRadius",
+  "bubblePadding",
+  "horizontalPadding",
+  "bubbleRadius",
+  "bubbleInnerRadius",
+  "outlineWidth",
+  "shadowBlur",
+  "shadowOffsetX",
+  "shadowOffsetY",
+  "blurRadius",
+];
+
+// Auto-wrap strategies: fill each line greedily, or balance line widths
+const WRAP_MODES = ["greedy", "balanced"];
+
+// Layout defaults on the reference canvas (the renderer's configuration
+// starts from these, so the preview cannot drift from the API)
+const LAYOUT_DEFAULTS = {
+  width: REFERENCE_WIDTH,
+  height: REFERENCE_HEIGHT,
+  fontSize: 55,
+  lineHeight: 0.75, // Line height multiplier
+  bubblePadding: 20, // Vertical padding inside each bubble
+  horizontalPadding: 26, // 30% more than bubblePadding (20 * 1.3 = 26)
+  bubbleRadius: 25,
+  bubbleInnerRadius: 15, // Concave corner radius for 'connected' bubbles
+  maxWidth: 900,
+  position: "bottom", // 'top', 'center', 'bottom'
+  safeZone: "tiktok-feed", // Profile from safe-zones.js
+  x: null, // Pixels (240, "240px") or percent of canvas width ("30%")
+  y: null, // Pixels or percent of canvas height
+  anchor: "center", // Point of the text block placed at x/y, e.g. 'top-left'
+  textAlign: "center", // 'left', 'center', 'right', 'start', 'end'
+  wrap: "greedy", // 'greedy' or 'balanced' (minimum raggedness)
+  avoidOrphans: true, // Balanced wrap keeps a lone word off the last line
+};
+
+// Bubbles overlap by this much on the reference canvas
+const BUBBLE_OVERLAP = 10;
+
+// Preset positions sit this much higher on the reference canvas
+const PRESET_LIFT = 50;
+
+/**
+ * Factor between the output canvas and the reference canvas
+ *
+ * @param {Object} style - Style with width and height
+ * @returns {number}
+ */
+function getLayoutScale(style) {
+  return Math.min(
+    style.width / REFERENCE_WIDTH,
+    style.height / REFERENCE_HEIGHT
+  );
+}
+
+/**
+ * Scale a style's pixel metrics from the reference canvas to its output size
+ *
+ * @param {Object} style - Style with width and height (not modified)
+ * @returns {Object} Scaled copy
+ */
+function scaleStyle(style) {
+  const scaled = { ...style };
+  const scale = getLayoutScale(style);
+  if (scale === 1) {
+    return scaled;
+  }
+
+  for (const key of SCALED_METRICS) {
+    if (typeof scaled[key] === "number") {
+      scaled[key] *= scale;
+    }
+  }
+  // Percentages already follow the canvas; pixel coordinates scale
+  for (const axis of ["x", "y"]) {
+    const coordinate = parseCoordinate(scaled[axis]);
+    if (typeof coordinate === "number") {
+      scaled[axis] = coordinate * scale;
+    }
+  }
+  return scaled;
+}
+
+/**
+ * Simple text line splitting based on newline characters only
+ * @param {string} text - Input text to split
+ * @returns {string[]} Array of lines split by \n
+ */
+function splitTextByNewlines(text) {
+  // Convert escaped newlines to actual newlines
+  const processedText = text.replace(/\\n/g, "\n");
+  return processedText.split("\n").filter((line) => line.trim().length > 0);
+}
+
+/**
+ * Whether text sets its own line breaks (real or escaped newlines)
+ * Text without them is auto-wrapped.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasExplicitBreaks(text) {
+  return /\n|\\n/.test(text);
+}
+
+/**
+ * Widest bubble allowed when centered, obeying the safe zones
+ * With centered alignment the bubble is capped so neither edge enters the
+ * side zones (tiktok-feed at 1024px: right zone starts at x=870, so 716).
+ *
+ * @param {Object} style - Resolved style
+ * @returns {number}
+ */
+function getMaxBubbleWidth(style) {
+  const { safeArea } = getSafeZones(style.safeZone, style.width, style.height);
+  const centerX = style.width / 2;
+  const maxHalfWidth = Math.min(
+    safeArea.x + safeArea.width - centerX,
+    centerX - safeArea.x
+  );
+  return Math.max(0, maxHalfWidth * 2);
+}
+
+/**
+ * Widest auto-wrapped line of text (bubble width minus its padding)
+ *
+ * @param {Object} style - Resolved style
+ * @returns {number}
+ */
+function getMaxTextWidth(style) {
+  return Math.max(0, getMaxBubbleWidth(style) - 2 * style.horizontalPadding);
+}
+
+/**
+ * Greedy word wrapping: fill each line before starting the next
+ * A word wider than the line gets a line of its own (and overflows).
+ *
+ * @param {Array} words - Words in logical order
+ * @param {number} maxTextWidth - Widest allowed line
+ * @param {Function} measureWords - (words) => width of those words joined as one line
+ * @returns {Array[]} Words per line
+ */
+function greedyWrap(words, maxTextWidth, measureWords) {
+  const lines = [];
+  let currentWords = [];
+
+  for (const word of words) {
+    const candidate = [...currentWords, word];
+    if (measureWords(candidate) <= maxTextWidth) {
+      currentWords = candidate;
+    } else if (currentWords.length > 0) {
+      lines.push(currentWords);
+      currentWords = [word];
+    } else {
+      lines.push([word]);
+    }
+  }
+
+  if (currentWords.length > 0) {
+    lines.push(currentWords);
+  }
+  return lines;
+}
+
+/**
+ * Balanced word wrapping (minimum raggedness, Knuth–Plass style)
+ * Chooses the breaks that minimize the sum of squared slack over every
+ * line, the last one included, so lines come out evenly long. A single
+ * word alone on the last line is penalized when avoidOrphans is set.
+ * A word wider than the line still gets a line of its own.
+ *
+ * @param {Array} words - Words in logical order
+ * @param {number} maxTextWidth - Widest allowed line
+ * @param {Function} measureWords - (words) => width of those words joined as one line
+ * @param {boolean} avoidOrphans - Penalize a lone word on the last line
+ * @returns {Array[]} Words per line
+ */
+function balancedWrap(words, maxTextWidth, measureWords, avoidOrphans) {
+  const count = words.length;
+  const orphanPenalty = maxTextWidth * maxTextWidth;
+
+  // cost[j]: cheapest wrapping of the first j words; breaks[j]: start of its last line
+  const cost = [0];
+  const breaks = [0];
+
+  for (let end = 1; end <= count; end++) {
+    cost[end] = Infinity;
+
+    for (let start = end - 1; start >= 0; start--) {
+      const wordCount = end - start;
+      const width = measureWords(words.slice(start, end));
+      if (width > maxTextWidth && wordCount > 1) break; // Only gets wider
+
+      const slack = Math.max(0, maxTextWidth - width);
+      let lineCost = slack * slack;
+      if (avoidOrphans && end === count && wordCount === 1 && start > 0) {
+        lineCost += orphanPenalty;
+      }
+
+      if (cost[start] + lineCost < cost[end]) {
+        cost[end] = cost[start] + lineCost;
+        breaks[end] = start;
+      }
+    }
+  }
+
+  const lines = [];
+  for (let end = count; end > 0; end = breaks[end]) {
+    lines.unshift(words.slice(breaks[end], end));
+  }
+  return lines;
+}
+
+/**
+ * Wrap words into lines no wider than the safe text width
+ *
+ * @param {Array} words - Words in logical order
+ * @param {Function} measureWords - (words) => width of those words joined as one line
+ * @param {Object} style - Resolved style (wrap, avoidOrphans, safe zone metrics)
+ * @returns {Array[]} Words per line
+ */
+function wrapWords(words, measureWords, style) {
+  if (words.length === 0) return [];
+
+  const maxTextWidth = getMaxTextWidth(style);
+  return style.wrap === "balanced"
+    ? balancedWrap(words, maxTextWidth, measureWords, style.avoidOrphans)
+    : greedyWrap(words, maxTextWidth, measureWords);
+}
+
+/**
+ * Height of a block of overlapping line bubbles
+ *
+ * @param {number} lineCount - Number of lines
+ * @param {Object} style - Resolved style
+ * @returns {number} Block height
+ */
+function calculateBlockHeight(lineCount, style) {
+  const overlapBetweenBubbles = BUBBLE_OVERLAP * getLayoutScale(style);
+  const bubbleHeight =
+    style.fontSize * style.lineHeight + style.bubblePadding * 2;
+  return (
+    lineCount * bubbleHeight -
+    Math.max(0, lineCount - 1) * overlapBetweenBubbles
+  );
+}
+
+/**
+ * Top of the block for the position preset
+ *
+ * @param {number} lineCount - Number of lines
+ * @param {Object} style - Resolved style
+ * @returns {number} Y position for first line placement
+ */
+function calculateVerticalPosition(lineCount, style) {
+  const blockHeight = calculateBlockHeight(lineCount, style);
+
+  switch (style.position) {
+    case "top":
+      return style.height * 0.15; // 15% from top
+    case "bottom":
+      return style.height * 0.85 - blockHeight; // 15% from bottom
+    case "center":
+    default:
+      return (style.height - blockHeight) / 2;
+  }
+}
+
+/**
+ * Calculate the top-left corner of the text block
+ * Axes with an explicit x/y are pinned by the anchor point; the others
+ * fall back to horizontal centering and the position preset.
+ *
+ * @param {number} blockWidth - Width of the widest bubble
+ * @param {number} blockHeight - Height of all bubbles including overlaps
+ * @param {number} lineCount - Number of lines
+ * @param {Object} style - Resolved style
+ * @returns {{x: number, y: number}} Block origin
+ */
+function calculateBlockPosition(blockWidth, blockHeight, lineCount, style) {
+  const anchored = calculateAnchoredOrigin(
+    resolveCoordinate(style.x, style.width),
+    resolveCoordinate(style.y, style.height),
+    blockWidth,
+    blockHeight,
+    style.anchor
+  );
+
+  return {
+    x: style.x === null ? (style.width - blockWidth) / 2 : anchored.x,
+    y:
+      style.y === null
+        ? calculateVerticalPosition(lineCount, style) -
+          PRESET_LIFT * getLayoutScale(style)
+        : anchored.y,
+  };
+}
+
+/**
+ * Keep a text block out of the platform UI safe zones
+ * The block is moved (never resized) into the safe area of the style's
+ * profile; a block taller than the area stays below the top zone.
+ *
+ * @param {{x: number, y: number}} origin - Block origin
+ * @param {number} blockWidth - Block width
+ * @param {number} blockHeight - Block height
+ * @param {Object} style - Resolved style
+ * @returns {{x: number, y: number}} Clamped origin
+ */
+function clampBlockToSafeZones(origin, blockWidth, blockHeight, style) {
+  const { safeArea } = getSafeZones(style.safeZone, style.width, style.height);
+  return clampRectToSafeArea(
+    { ...origin, width: blockWidth, height: blockHeight },
+    safeArea
+  );
+}
+
+/**
+ * Lay out a block of wrapped lines
+ * Every line gets a bubble sized to its measured width; the block is placed
+ * as a whole, clamped into the safe area, and each bubble is aligned within
+ * it. `textX`/`textY` is the point the line's text is centered on (draw with
+ * a "middle" baseline, starting at textX - lineWidth / 2).
+ *
+ * @param {Array} lines - Lines in logical order (runs, strings, ...)
+ * @param {Object} style - Resolved style
+ * @param {Object} options
+ * @param {Function} options.measure - (line) => advance width of the line
+ * @param {string} options.direction - Resolved text direction, 'ltr' or 'rtl'
+ * @returns {{block: Object, lineHeight: number, lines: Object[]}}
+ *   Block rect, text line height and one box per line
+ *   ({ line, index, lineWidth, textX, textY, bubble })
+ */
+function layoutLines(lines, style, { measure, direction = "ltr" }) {
+  const lineHeight = style.fontSize * style.lineHeight;
+  const bubbleHeight = lineHeight + style.bubblePadding * 2;
+  const lineStep = bubbleHeight - BUBBLE_OVERLAP * getLayoutScale(style);
+
+  // Measure every line's bubble first so the block can be placed as a whole
+  const sizes = lines.map((line) => {
+    const lineWidth = measure(line);
+    return { lineWidth, bubbleWidth: lineWidth + style.horizontalPadding * 2 };
+  });
+
+  const blockWidth = Math.max(0, ...sizes.map((size) => size.bubbleWidth));
+  const blockHeight = calculateBlockHeight(lines.length, style);
+
+  let origin = calculateBlockPosition(
+    blockWidth,
+    blockHeight,
+    lines.length,
+    style
+  );
+  // Clamp so the block stays clear of the safe zones (every layout mode)
+  if (lines.length > 0) {
+    origin = clampBlockToSafeZones(origin, blockWidth, blockHeight, style);
+  }
+
+  return {
+    block: { ...origin, width: blockWidth, height: blockHeight },
+    lineHeight,
+    lines: lines.map((line, index) => {
+      const { lineWidth, bubbleWidth } = sizes[index];
+      const bubbleX = alignLineX(
+        origin.x,
+        blockWidth,
+        bubbleWidth,
+        style.textAlign,
+        direction
+      );
+      const bubbleY = origin.y + index * lineStep;
+
+      return {
+        line,
+        index,
+        lineWidth,
+        textX: bubbleX + bubbleWidth / 2,
+        textY: bubbleY + style.bubblePadding + lineHeight / 2,
+        bubble: {
+          x: bubbleX,
+          y: bubbleY,
+          width: bubbleWidth,
+          height: bubbleHeight,
+          radius: style.bubbleRadius,
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Find the largest whole font size between minFontSize and maxFontSize at
+ * which `fits` accepts the style (binary search; wrapping only gets looser
+ * as the font shrinks). Falls back to minFontSize when even that overflows.
+ *
+ * @param {Object} style - Resolved style
+ * @param {Function} fits - (style) => whether the text fits at style.fontSize
+ * @returns {{style: Object, fits: boolean}} Style with the chosen fontSize
+ */
+function findFittingFontSize(style, fits) {
+  const minSize = Math.max(1, Math.floor(style.minFontSize));
+  const maxSize = Math.max(minSize, Math.floor(style.maxFontSize));
+  const withSize = (fontSize) => Object.freeze({ ...style, fontSize });
+
+  let low = minSize;
+  let high = maxSize;
+  let best = null;
+  while (low <= high) {
+    const size = Math.floor((low + high) / 2);
+    if (fits(withSize(size))) {
+      best = size;
+      low = size + 1;
+    } else {
+      high = size - 1;
+    }
+  }
+
+  return { style: withSize(best || minSize), fits: best !== null };
+}
+
+module.exports = {
+  REFERENCE_WIDTH,
+  REFERENCE_HEIGHT,
+  SCALED_METRICS,
+  WRAP_MODES,
+  LAYOUT_DEFAULTS,
+  getLayoutScale,
+  scaleStyle,
+  splitTextByNewlines,
+  hasExplicitBreaks,
+  getMaxBubbleWidth,
+  getMaxTextWidth,
+  wrapWords,
+  calculateBlockHeight,
+  calculateVerticalPosition,
+  calculateBlockPosition,
+  clampBlockToSafeZones,
+  layoutLines,
+  findFittingFontSize,
+};
@@ -0,0 +1,184 @@
+const LineBreaker = require("linebreak");
+
+/**
+ * Line break opportunities for auto-wrap
+ *
+ * Break opportunities follow the Unicode line breaking algorithm (UAX #14),
+ * so CJK text can break between ideographs (but not before closing
+ * punctuation), and breaks after spaces and hyphens keep working for
+ * Latin, Arabic and Hebrew text. Scripts written without spaces whose word
+ * boundaries need a dictionary (Thai, Lao, Khmer, Myanmar) are broken
+ * between grapheme clusters instead.
+ *
+ * A word wider than a line is split by breakLongWord, measured through a
+ * function the caller passes in (like the layout engine).
+ */
+
+// Scripts in UAX #14 class SA ("complex context")
+const COMPLEX_CONTEXT_PATTERN =
+  /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Thai/Lao leading vowels never end a line, and these signs never start one
+const NO_BREAK_AFTER_PATTERN = /^[\u0e40-\u0e44\u0ec0-\u0ec4]/u;
+const NO_BREAK_BEFORE_PATTERN =
+  /^[\u0e30\u0e32\u0e33\u0e45\u0e46\u0eb0\u0eb2\u0eb3\u0ec6]/u;
+
+// Safe points in URLs, handles and hashtags: break after these characters
+// (but never between two slashes, as in "://") or before these
+const BREAK_AFTER = "/.?&=_-";
+const BREAK_BEFORE = "#@";
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, {
+  granularity: "grapheme",
+});
+
+/**
+ * Offsets where a line may break (the start of the following segment)
+ *
+ * @param {string} text - Text without newlines
+ * @returns {number[]} Ascending offsets, excluding 0 and text.length
+ */
+function findBreakOpportunities(text) {
+  const offsets = new Set();
+
+  const breaker = new LineBreaker(text);
+  let opportunity;
+  while ((opportunity = breaker.nextBreak())) {
+    offsets.add(opportunity.position);
+  }
+
+  // Between two complex-context graphemes (no dictionary available)
+  let previous = null;
+  for (const { segment, index } of graphemeSegmenter.segment(text)) {
+    if (
+      previous &&
+      COMPLEX_CONTEXT_PATTERN.test(previous) &&
+      COMPLEX_CONTEXT_PATTERN.test(segment) &&
+      !NO_BREAK_AFTER_PATTERN.test(previous) &&
+      !NO_BREAK_BEFORE_PATTERN.test(segment)
+    ) {
+      offsets.add(index);
+    }
+    previous = segment;
+  }
+
+  return [...offsets]
+    .filter((offset) => offset > 0 && offset < text.length)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Split text into words at line break opportunities
+ * Whitespace (newlines included) collapses to single spaces and the ends are
+ * trimmed; a word keeps the space that follows it, so the words join back
+ * into the text.
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Words in logical order
+ */
+function splitWords(text) {
+  const normalized = text.replace(/\s+/g, " ").trim();
+  const words = [];
+
+  let start = 0;
+  [...findBreakOpportunities(normalized), normalized.length].forEach((end) => {
+    if (end > start) words.push(normalized.slice(start, end));
+    start = end;
+  });
+
+  return words;
+}
+
+/**
+ * Safe break points inside URLs, handles and hashtags
+ * After "/", ".", "?", "&", "=", "_", "-", before "#" and "@", and at
+ * camelCase or letter/digit changes; the word is broken without a hyphen.
+ *
+ * @param {string} word - Word to break
+ * @returns {Object[]} Break points { offset, hyphen: false }
+ */
+function getSafeBreakPoints(word) {
+  const points = [];
+
+  for (let offset = 1; offset < word.length; offset++) {
+    const before = word[offset - 1];
+    const after = word[offset];
+
+    const afterSeparator = BREAK_AFTER.includes(before) && after !== "/";
+    const beforeMarker = BREAK_BEFORE.includes(after);
+    const caseChange = /\p{Ll}/u.test(before) && /\p{Lu}/u.test(after);
+    const digitChange =
+      (/\p{L}/u.test(before) && /\d/.test(after)) ||
+      (/\d/.test(before) && /\p{L}/u.test(after));
+
+    if (afterSeparator || beforeMarker || caseChange || digitChange) {
+      points.push({ offset, hyphen: false });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Split a word that is wider than a line into pieces that fit
+ * Each piece ends at the furthest break point that still fits: a
+ * hyphenation point (drawn with a trailing hyphen) or a safe URL/hashtag
+ * point. Without one, the word is broken between grapheme clusters (at
+ * least one per piece).
+ *
+ * @param {string} word - Word to break
+ * @param {number} maxTextWidth - Widest allowed line
+ * @param {Function} measurePiece - (start, end, hyphen) => width of
+ *   word.slice(start, end), followed by a hyphen when hyphen is set
+ * @param {Object[]} breakPoints - Candidate points { offset, hyphen }
+ * @returns {Object[]} Pieces { start, end, hyphen } in logical order
+ */
+function breakLongWord(word, maxTextWidth, measurePiece, breakPoints) {
+  const points = [...breakPoints].sort((a, b) => a.offset - b.offset);
+
+  const graphemeOffsets = [];
+  for (const { index } of graphemeSegmenter.segment(word)) {
+    if (index > 0) graphemeOffsets.push(index);
+  }
+
+  const fits = (start, end, hyphen) =>
+    measurePiece(start, end, hyphen) <= maxTextWidth;
+
+  const pieces = [];
+  let start = 0;
+  while (!fits(start, word.length, false)) {
+    let best = null;
+
+    points
+      .filter((point) => point.offset > start && point.offset < word.length)
+      .forEach((point) => {
+        if (fits(start, point.offset, point.hyphen)) {
+          best = { start, end: point.offset, hyphen: point.hyphen };
+        }
+      });
+
+    if (!best) {
+      // Hard break: as many graphemes as fit, but at least one
+      const offsets = graphemeOffsets.filter((end) => end > start);
+      if (offsets.length === 0) break;
+      best = { start, end: offsets[0], hyphen: false };
+      for (const end of offsets.slice(1)) {
+        if (!fits(start, end, false)) break;
+        best = { start, end, hyphen: false };
+      }
+    }
+
+    pieces.push(best);
+    start = best.end;
+  }
+
+  pieces.push({ start, end: word.length, hyphen: false });
+  return pieces;
+}
+
+module.exports = {
+  findBreakOpportunities,
+  splitWords,
+  getSafeBreakPoints,
+  breakLongWord,
+};
@@ -0,0 +1,129 @@
+/**
+ * Anchor-based caption placement
+ *
+ * Besides the top/center/bottom presets, a caption block can be pinned to an
+ * explicit point: `x` and `y` accept pixels (240 or "240px") or a percentage
+ * of the canvas ("30%"), and `anchor` picks which point of the block sits
+ * there ("top-left" puts the block's top-left corner on x/y). `textAlign`
+ * lines the bubbles up on the block's left edge, center or right edge;
+ * 'start' and 'end' follow the text direction (right/left for RTL text).
+ */
+
+// Anchor point of the text block as fractions of its width and height
+const ANCHOR_POINTS = {
+  "top-left": { x: 0, y: 0 },
+  top: { x: 0.5, y: 0 },
+  "top-right": { x: 1, y: 0 },
+  left: { x: 0, y: 0.5 },
+  center: { x: 0.5, y: 0.5 },
+  right: { x: 1, y: 0.5 },
+  "bottom-left": { x: 0, y: 1 },
+  bottom: { x: 0.5, y: 1 },
+  "bottom-right": { x: 1, y: 1 },
+};
+
+const TEXT_ALIGNMENTS = ["left", "center", "right", "start", "end"];
+
+// Physical alignment of 'start' and 'end' per text direction
+const DIRECTIONAL_ALIGNMENTS = {
+  ltr: { start: "left", end: "right" },
+  rtl: { start: "right", end: "left" },
+};
+
+const COORDINATE_PATTERN = /^(\d+(?:\.\d+)?)(px|%)?$/;
+
+/**
+ * Normalize a coordinate to pixels (number) or a percentage ("30%")
+ *
+ * @param {number|string} value - 240, "240", "240px" or "30%"
+ * @returns {number|string|undefined} Normalized value, or undefined when invalid
+ */
+function parseCoordinate(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? value : undefined;
+  }
+
+  const match = COORDINATE_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return undefined;
+  }
+
+  const number = parseFloat(match[1]);
+  return match[2] === "%" ? `${number}%` : number;
+}
+
+/**
+ * Convert a coordinate to pixels along an axis
+ *
+ * @param {number|string} value - Pixels or a percentage string
+ * @param {number} size - Canvas size along the axis
+ * @returns {number} Pixels
+ */
+function resolveCoordinate(value, size) {
+  const parsed = parseCoordinate(value);
+  if (typeof parsed === "string") {
+    return (parseFloat(parsed) / 100) * size;
+  }
+  return parsed === undefined ? 0 : parsed;
+}
+
+/**
+ * Top-left corner of a text block pinned to an anchor point
+ *
+ * @param {number} x - Anchor x in pixels
+ * @param {number} y - Anchor y in pixels
+ * @param {number} blockWidth - Block width
+ * @param {number} blockHeight - Block height
+ * @param {string} anchor - Key of ANCHOR_POINTS
+ * @returns {{x: number, y: number}}
+ */
+function calculateAnchoredOrigin(x, y, blockWidth, blockHeight, anchor) {
+  const point = Object.hasOwn(ANCHOR_POINTS, anchor)
+    ? ANCHOR_POINTS[anchor]
+    : ANCHOR_POINTS.center;
+  return {
+    x: x - point.x * blockWidth,
+    y: y - point.y * blockHeight,
+  };
+}
+
+/**
+ * Left edge of a line's bubble inside the text block
+ *
+ * @param {number} blockX - Block left edge
+ * @param {number} blockWidth - Block width (widest bubble)
+ * @param {number} lineWidth - This line's bubble width
+ * @param {string} textAlign - 'left', 'center', 'right', 'start' or 'end'
+ * @param {string} direction - Text direction, 'ltr' or 'rtl'
+ * @returns {number}
+ */
+function alignLineX(
+  blockX,
+  blockWidth,
+  lineWidth,
+  textAlign,
+  direction = "ltr"
+) {
+  const directional =
+    DIRECTIONAL_ALIGNMENTS[direction] || DIRECTIONAL_ALIGNMENTS.ltr;
+  const alignment = directional[textAlign] || textAlign;
+
+  switch (alignment) {
+    case "left":
+      return blockX;
+    case "right":
+      return blockX + blockWidth - lineWidth;
+    case "center":
+    default:
+      return blockX + (blockWidth - lineWidth) / 2;
+  }
+}
+
+module.exports = {
+  ANCHOR_POINTS,
+  TEXT_ALIGNMENTS,
+  parseCoordinate,
+  resolveCoordinate,
+  calculateAnchoredOrigin,
+  alignLineX,
+};
@@ -0,0 +1,149 @@
+/**
+ * Platform safe-zone profiles
+ *
+ * Each profile lists how far the platform's UI (top bar, action buttons,
+ * caption and music row) reaches into the video from every edge, measured on
+ * the profile's reference resolution. Insets are scaled to the output size,
+ * so the same profile works for 1024x1536 and 1080x1920 renders.
+ */
+const SAFE_ZONE_PROFILES = {
+  "tiktok-feed": {
+    label: "TikTok feed",
+    referenceWidth: 1024,
+    referenceHeight: 1536,
+    insets: { top: 120, right: 154, bottom: 336, left: 0 },
+  },
+  "tiktok-carousel": {
+    label: "TikTok photo carousel",
+    referenceWidth: 1024,
+    referenceHeight: 1536,
+    // Slide dots and the longer photo-mode caption sit above the usual row
+    insets: { top: 120, right: 154, bottom: 384, left: 0 },
+  },
+  "instagram-reels": {
+    label: "Instagram Reels",
+    referenceWidth: 1080,
+    referenceHeight: 1920,
+    insets: { top: 270, right: 120, bottom: 670, left: 65 },
+  },
+  "youtube-shorts": {
+    label: "YouTube Shorts",
+    referenceWidth: 1080,
+    referenceHeight: 1920,
+    insets: { top: 240, right: 192, bottom: 480, left: 48 },
+  },
+  none: {
+    label: "No safe zone",
+    referenceWidth: 1080,
+    referenceHeight: 1920,
+    insets: { top: 0, right: 0, bottom: 0, left: 0 },
+  },
+};
+
+/**
+ * Scale a profile to an output size
+ *
+ * @param {string} profileName - Key of SAFE_ZONE_PROFILES
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {{name: string, insets: Object, safeArea: Object, zones: Object[]}}
+ *   Scaled insets, the safe rectangle between them and the UI zone rectangles
+ */
+function getSafeZones(profileName, width, height) {
+  const name = Object.hasOwn(SAFE_ZONE_PROFILES, profileName)
+    ? profileName
+    : "tiktok-feed";
+  const profile = SAFE_ZONE_PROFILES[name];
+  const scaleX = width / profile.referenceWidth;
+  const scaleY = height / profile.referenceHeight;
+
+  const insets = {
+    top: profile.insets.top * scaleY,
+    right: profile.insets.right * scaleX,
+    bottom: profile.insets.bottom * scaleY,
+    left: profile.insets.left * scaleX,
+  };
+
+  const safeArea = {
+    x: insets.left,
+    y: insets.top,
+    width: Math.max(0, width - insets.left - insets.right),
+    height: Math.max(0, height - insets.top - insets.bottom),
+  };
+
+  const zones = [
+    { edge: "top", x: 0, y: 0, width, height: insets.top },
+    {
+      edge: "bottom",
+      x: 0,
+      y: height - insets.bottom,
+      width,
+      height: insets.bottom,
+    },
+    { edge: "left", x: 0, y: 0, width: insets.left, height },
+    {
+      edge: "right",
+      x: width - insets.right,
+      y: 0,
+      width: insets.right,
+      height,
+    },
+  ].filter((zone) => zone.width > 0 && zone.height > 0);
+
+  return { name, insets, safeArea, zones };
+}
+
+/**
+ * Move a rectangle (never resize it) so it lies inside the safe area
+ * When it is larger than the area, the top and left edges win.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {{x: number, y: number, width: number, height: number}} safeArea
+ * @returns {{x: number, y: number}} Clamped origin
+ */
+function clampRectToSafeArea(rect, safeArea) {
+  const maxX = safeArea.x + safeArea.width - rect.width;
+  const maxY = safeArea.y + safeArea.height - rect.height;
+
+  return {
+    x: Math.max(safeArea.x, Math.min(rect.x, maxX)),
+    y: Math.max(safeArea.y, Math.min(rect.y, maxY)),
+  };
+}
+
+/**
+ * Find where rectangles (e.g. line bubbles) reach into the UI zones
+ * Blocks are clamped into the safe area, so this only happens when a block is
+ * wider or taller than the area.
+ *
+ * @param {{x: number, y: number, width: number, height: number}[]} rects
+ * @param {Object} safeZones - Result of getSafeZones
+ * @returns {{line: number, zone: string, overlap: Object}[]} One entry per
+ *   rectangle and zone it overlaps, with the overlapping rectangle
+ */
+function findSafeZoneViolations(rects, safeZones) {
+  const violations = [];
+  rects.forEach((rect, line) => {
+    safeZones.zones.forEach((zone) => {
+      const x = Math.max(rect.x, zone.x);
+      const y = Math.max(rect.y, zone.y);
+      const width = Math.min(rect.x + rect.width, zone.x + zone.width) - x;
+      const height = Math.min(rect.y + rect.height, zone.y + zone.height) - y;
+      if (width > 0 && height > 0) {
+        violations.push({
+          line,
+          zone: zone.edge,
+          overlap: { x, y, width, height },
+        });
+      }
+    });
+  });
+  return violations;
+}
+
+module.exports = {
+  SAFE_ZONE_PROFILES,
+  getSafeZones,
+  clampRectToSafeArea,
+  findSafeZoneViolations,
+};
@@ -0,0 +1,158 @@
+const { JsonFileStore } = require("./json-file-store");
+
+// Longest inheritance chain, counting the template itself
+const MAX_TEMPLATE_DEPTH = 5;
+
+/**
+ * Reusable slide templates persisted to a JSON file
+ *
+ * A template is an account's house style stored under an id. It may extend
+ * a base template: its style is merged over the base's (recursively), so a
+ * change to the base reaches every template built on it. Validation of the
+ * documents happens in the API before they are saved.
+ *
+ * Ids come from requests, so templates are looked up as own properties only
+ * (see JsonFileStore).
+ */
+class TemplateStore {
+  /**
+   * @param {string} filePath - JSON file used to persist templates
+   */
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, "templates");
+    this.templates = this.file.read();
+  }
+
+  /**
+   * List all templates
+   *
+   * @returns {Object[]} Array of { id, name, description, extends, style, createdAt, updatedAt }
+   */
+  list() {
+    return Object.entries(this.templates).map(([id, template]) => ({
+      id,
+      ...template,
+    }));
+  }
+
+  /**
+   * Get a single template by id (its own fields, without inherited style)
+   *
+   * @param {string} id - Template id
+   * @returns {Object|null} Template or null when unknown
+   */
+  get(id) {
+    return Object.hasOwn(this.templates, id)
+      ? { id, ...this.templates[id] }
+      : null;
+  }
+
+  /**
+   * Create or replace a template
+   *
+   * @param {string} id - Template id
+   * @param {Object} definition - Validated { name, description, extends, style }
+   * @returns {Object} Saved template
+   */
+  save(id, definition) {
+    const now = new Date().toISOString();
+    const existing = this.get(id);
+    this.templates[id] = {
+      name: definition.name || id,
+      description: definition.description || null,
+      extends: definition.extends || null,
+      style: { ...definition.style },
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+    this.file.write(this.templates);
+    return this.get(id);
+  }
+
+  /**
+   * Delete a template
+   *
+   * @param {string} id - Template id
+   * @returns {boolean} True when a template was removed
+   */
+  remove(id) {
+    if (!Object.hasOwn(this.templates, id)) {
+      return false;
+    }
+
+    delete this.templates[id];
+    this.file.write(this.templates);
+    return true;
+  }
+
+  /**
+   * Ids of the templates that extend a template directly
+   *
+   * @param {string} id - Template id
+   * @returns {string[]} Ids of derived templates
+   */
+  findDerived(id) {
+    return Object.keys(this.templates).filter(
+      (templateId) => this.templates[templateId].extends === id
+    );
+  }
+
+  /**
+   * Resolve a template's style through its inheritance chain
+   *
+   * @param {string} id - Template id
+   * @returns {{style: Object|null, chain: string[], error: string|null}}
+   *   Merged style and the ids it came from, base first
+   */
+  resolve(id) {
+    const chain = [];
+    let currentId = id;
+
+    while (currentId) {
+      if (chain.includes(currentId)) {
+        return {
+          style: null,
+          chain,
+          error: `Template "${id}" inherits from itself (${[
+            ...chain,
+            currentId,
+          ].join(" -> ")})`,
+        };
+      }
+
+      const template = this.get(currentId);
+      if (!template) {
+        return {
+          style: null,
+          chain,
+          error:
+            chain.length === 0
+              ? `Template "${id}" does not exist`
+              : `Template "${
+                  chain[chain.length - 1]
+                }" extends missing template "${currentId}"`,
+        };
+      }
+
+      chain.push(currentId);
+      currentId = template.extends;
+    }
+
+    if (chain.length > MAX_TEMPLATE_DEPTH) {
+      return {
+        style: null,
+        chain,
+        error: `Template "${id}" inherits through more than ${MAX_TEMPLATE_DEPTH} templates`,
+      };
+    }
+
+    chain.reverse();
+    const style = Object.assign(
+      {},
+      ...chain.map((templateId) => this.templates[templateId].style)
+    );
+    return { style, chain, error: null };
+  }
+}
+
+module.exports = { TemplateStore, MAX_TEMPLATE_DEPTH };
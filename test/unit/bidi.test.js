@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { reorderRunsVisually } = require("../../bidi");
+
+/**
+ * Visual reordering of bidirectional lines (bidi.js)
+ *
+ * Pieces are compared as [text, direction] pairs in visual (left to right)
+ * order; no fonts or canvas are involved.
+ */
+
+const pieces = (runs) => runs.map((run) => [run.text, run.direction]);
+
+test("a left-to-right line stays one ltr piece", () => {
+  assert.deepStrictEqual(
+    pieces(reorderRunsVisually([{ text: "Hello (world)" }], "ltr")),
+    [["Hello (world)", "ltr"]]
+  );
+});
+
+test("Latin in parentheses inside a Hebrew line", () => {
+  // Logical: שלום (world) עולם, read right to left
+  assert.deepStrictEqual(
+    pieces(reorderRunsVisually([{ text: "שלום (world) עולם" }], "rtl")),
+    [
+      [") עולם", "rtl"],
+      ["world", "ltr"],
+      ["שלום (", "rtl"],
+    ]
+  );
+});
+
+test("parentheses around Latin in an Arabic line are drawn right to left", () => {
+  // The brackets belong to the rtl pieces, so the shaper mirrors them (L4)
+  assert.deepStrictEqual(
+    pieces(reorderRunsVisually([{ text: "مرحبا (Hello) بالعالم" }], "rtl")),
+    [
+      [") بالعالم", "rtl"],
+      ["Hello", "ltr"],
+      ["مرحبا (", "rtl"],
+    ]
+  );
+});
+
+test("Hebrew in parentheses inside a Latin line", () => {
+  assert.deepStrictEqual(
+    pieces(reorderRunsVisually([{ text: "Hello (שלום) world" }], "ltr")),
+    [
+      ["Hello (", "ltr"],
+      ["שלום", "rtl"],
+      [") world", "ltr"],
+    ]
+  );
+});
+
+test("runs keep their styles when split by direction", () => {
+  const reordered = reorderRunsVisually(
+    [
+      { text: "Sale ", highlight: false },
+      { text: "שלום עולם", highlight: true },
+      { text: " now", highlight: false },
+    ],
+    "ltr"
+  );
+
+  assert.deepStrictEqual(
+    reordered.map((run) => [run.text, run.direction, run.highlight]),
+    [
+      ["Sale ", "ltr", false],
+      ["שלום עולם", "rtl", true],
+      [" now", "ltr", false],
+    ]
+  );
+});
+
+test("an empty line is returned unchanged", () => {
+  const runs = [];
+  assert.strictEqual(reorderRunsVisually(runs, "rtl"), runs);
+});
@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { findBreakOpportunities, splitWords } = require("../../shared");
+
+/**
+ * Line break opportunities (shared/line-breaking.js)
+ *
+ * Offsets are UTF-16 indexes where a new line may start; no fonts or
+ * canvas are involved.
+ */
+
+test("Latin text breaks after spaces and hyphens", () => {
+  assert.deepStrictEqual(splitWords("Hello  world,\nfine-tuned text"), [
+    "Hello ",
+    "world, ",
+    "fine-",
+    "tuned ",
+    "text",
+  ]);
+});
+
+test("CJK text breaks between ideographs but never before closing punctuation", () => {
+  const text = "東京タワーは、とても高い。本当に「高い」です！";
+  const offsets = findBreakOpportunities(text);
+
+  // Between ideographs and kana
+  for (const offset of [1, 2, 7, 8]) {
+    assert.ok(offsets.includes(offset), `break at ${offset}`);
+  }
+  // Before closing punctuation and the prolonged sound mark
+  for (const char of "、。」！ー") {
+    const offset = text.indexOf(char);
+    assert.ok(!offsets.includes(offset), `no break before ${char}`);
+  }
+  // After an opening bracket
+  assert.ok(!offsets.includes(text.indexOf("「") + 1), "no break after 「");
+
+  assert.deepStrictEqual(splitWords(text).slice(3, 5), ["ワー", "は、"]);
+});
+
+test("Thai leading vowels stay with the consonant that follows them", () => {
+  const text = "ภาษาไทยเป็นภาษา";
+  const offsets = findBreakOpportunities(text);
+
+  for (const offset of offsets) {
+    assert.doesNotMatch(
+      text[offset - 1],
+      /[\u0e40-\u0e44]/u,
+      `break at ${offset} ends a line with a leading vowel`
+    );
+  }
+  // Breaks are still found before leading vowels (no dictionary needed)
+  assert.ok(offsets.includes(text.indexOf("ไ")));
+  assert.ok(offsets.includes(text.indexOf("เ")));
+  assert.deepStrictEqual(splitWords(text).slice(2, 5), ["ไท", "ย", "เป็"]);
+});
+
+test("offsets exclude the start and end of the text", () => {
+  assert.deepStrictEqual(findBreakOpportunities("word"), []);
+  assert.deepStrictEqual(findBreakOpportunities(""), []);
+});
@@ -0,0 +1,160 @@
+/**
+ * Visual regression corpus
+ *
+ * Every case renders one caption onto a fixed background and is compared with
+ * golden/<name>.png. Backgrounds are drawn in code so they never change
+ * between runs. Captions avoid scripts the bundled font lacks, since system
+ * fallback fonts differ between machines.
+ */
+
+// Background size (9:16, cover-fitted onto the 1024x1536 output)
+const BACKGROUND_WIDTH = 1080;
+const BACKGROUND_HEIGHT = 1920;
+
+// Fixed backgrounds, drawn onto a BACKGROUND_WIDTH x BACKGROUND_HEIGHT canvas
+const BACKGROUNDS = {
+  solid: (ctx) => {
+    ctx.fillStyle = "#5b6c7d";
+    ctx.fillRect(0, 0, BACKGROUND_WIDTH, BACKGROUND_HEIGHT);
+  },
+  gradient: (ctx) => {
+    const gradient = ctx.createLinearGradient(0, 0, 0, BACKGROUND_HEIGHT);
+    gradient.addColorStop(0, "#355c7d");
+    gradient.addColorStop(0.5, "#6c5b7b");
+    gradient.addColorStop(1, "#f67280");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, BACKGROUND_WIDTH, BACKGROUND_HEIGHT);
+  },
+  // High-contrast tiles, like a busy photo behind unboxed text styles
+  checker: (ctx) => {
+    const tile = 120;
+    for (let y = 0; y < BACKGROUND_HEIGHT; y += tile) {
+      for (let x = 0; x < BACKGROUND_WIDTH; x += tile) {
+        ctx.fillStyle = (x + y) % (tile * 2) === 0 ? "#f2f2f2" : "#2b2b2b";
+        ctx.fillRect(x, y, tile, tile);
+      }
+    }
+  },
+};
+
+const TWO_LINES = "Each position\\nuses the same caption";
+const LONG_CAPTION =
+  "POV: you finally found the caption that wraps onto several lines without any help";
+
+const CASES = [
+  {
+    name: "single-line",
+    background: "gradient",
+    text: "POV: one short line",
+  },
+  {
+    name: "position-top",
+    background: "gradient",
+    text: TWO_LINES,
+    options: { position: "top" },
+  },
+  {
+    name: "position-center",
+    background: "gradient",
+    text: TWO_LINES,
+    options: { position: "center" },
+  },
+  {
+    name: "position-bottom",
+    background: "gradient",
+    text: TWO_LINES,
+    options: { position: "bottom" },
+  },
+  {
+    name: "explicit-breaks",
+    background: "solid",
+    text: "Line one\\nA much longer second line\\nthree",
+  },
+  {
+    name: "explicit-breaks-left",
+    background: "solid",
+    text: "Line one\\nA much longer second line\\nthree",
+    options: { textAlign: "left" },
+  },
+  {
+    name: "auto-wrap-greedy",
+    background: "solid",
+    text: LONG_CAPTION,
+  },
+  {
+    name: "auto-wrap-balanced",
+    background: "solid",
+    text: LONG_CAPTION,
+    options: { wrap: "balanced" },
+  },
+  {
+    name: "long-word",
+    background: "gradient",
+    text: "Supercalifragilisticexpialidocious antidisestablishmentarianism",
+  },
+  {
+    name: "long-word-hyphenated",
+    background: "gradient",
+    text: "Supercalifragilisticexpialidocious antidisestablishmentarianism",
+    options: { hyphenate: true },
+  },
+  {
+    name: "long-url",
+    background: "gradient",
+    text: "Link in bio: https://example.com/a/really/long/path/that/does/not/fit",
+  },
+  {
+    name: "auto-fit",
+    background: "solid",
+    text: LONG_CAPTION,
+    options: { autoFit: true, maxLines: 2 },
+  },
+  {
+    name: "anchored",
+    background: "gradient",
+    text: "Pinned top-left\\nat 30% / 400px",
+    options: { x: "30%", y: 400, anchor: "top-left", textAlign: "left" },
+  },
+  {
+    name: "connected-bubbles",
+    background: "gradient",
+    text: "Connected\\nbubbles around lines\\nof different widths",
+    options: { bubbleShape: "connected" },
+  },
+  {
+    name: "style-dark-bubble",
+    background: "checker",
+    text: TWO_LINES,
+    options: { textStyle: "dark-bubble" },
+  },
+  {
+    name: "style-outline",
+    background: "checker",
+    text: TWO_LINES,
+    options: { textStyle: "outline" },
+  },
+  {
+    name: "style-shadow",
+    background: "checker",
+    text: TWO_LINES,
+    options: { textStyle: "shadow" },
+  },
+  {
+    name: "markup-and-emoji",
+    background: "solid",
+    text: "**Bold** {color:#FE2C55}red{/} and [[highlighted]] words 🎬",
+  },
+  {
+    name: "output-1080x1920",
+    background: "gradient",
+    text: TWO_LINES,
+    options: { width: 1080, height: 1920 },
+  },
+];
+
+module.exports = {
+  BACKGROUND_WIDTH,
+  BACKGROUND_HEIGHT,
+  BACKGROUNDS,
+  CASES,
+};
@@ -0,0 +1,134 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createCanvas } = require("@napi-rs/canvas");
+const { PNG } = require("pngjs");
+const pixelmatch = require("pixelmatch");
+const { TikTokTextOverlay } = require("../../text-overlay");
+const {
+  BACKGROUND_WIDTH,
+  BACKGROUND_HEIGHT,
+  BACKGROUNDS,
+  CASES,
+} = require("./cases");
+
+/**
+ * Visual regression suite
+ *
+ * Renders every case in cases.js and compares it with its golden PNG:
+ *
+ *   yarn test                     # compare
+ *   yarn test:update-goldens      # re-render every golden after an intended change
+ *
+ * Goldens are committed and only ever written by UPDATE_GOLDENS=1; a case
+ * without one fails. On failure the render and a diff image (changed pixels
+ * in red) are written to test/visual/output/.
+ */
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const OUTPUT_DIR = path.join(__dirname, "output");
+
+const UPDATE_GOLDENS = process.env.UPDATE_GOLDENS === "1";
+
+// pixelmatch color distance (0-1, perceptual YIQ) below which pixels match;
+// anti-aliased edge pixels are not counted
+const PIXEL_THRESHOLD = 0.1;
+
+// Share of pixels that may still differ, for font rasterization noise
+const MAX_DIFF_RATIO = 0.001;
+
+const renderer = new TikTokTextOverlay();
+
+const backgrounds = Object.fromEntries(
+  Object.entries(BACKGROUNDS).map(([name, draw]) => {
+    const canvas = createCanvas(BACKGROUND_WIDTH, BACKGROUND_HEIGHT);
+    draw(canvas.getContext("2d"));
+    return [name, canvas.toBuffer("image/png")];
+  })
+);
+
+// Renders log every step; keep the test output readable
+async function renderQuietly(task) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await task();
+  } finally {
+    console.log = log;
+  }
+}
+
+function writeOutput(name, files) {
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  for (const [suffix, buffer] of Object.entries(files)) {
+    fs.writeFileSync(path.join(OUTPUT_DIR, `${name}.${suffix}.png`), buffer);
+  }
+}
+
+for (const testCase of CASES) {
+  test(testCase.name, async (t) => {
+    const { buffer } = await renderQuietly(() =>
+      renderer.addTextLayersWithLayout(
+        backgrounds[testCase.background],
+        [{ text: testCase.text }],
+        testCase.options
+      )
+    );
+
+    const goldenPath = path.join(GOLDEN_DIR, `${testCase.name}.png`);
+    if (UPDATE_GOLDENS) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenPath, buffer);
+      t.diagnostic(`Wrote golden image ${testCase.name}.png`);
+      return;
+    }
+
+    if (!fs.existsSync(goldenPath)) {
+      writeOutput(testCase.name, { actual: buffer });
+      assert.fail(
+        `Missing golden image ${path.relative(
+          process.cwd(),
+          goldenPath
+        )}. Check test/visual/output/${
+          testCase.name
+        }.actual.png, then run "yarn test:update-goldens" and commit it`
+      );
+    }
+
+    const golden = PNG.sync.read(fs.readFileSync(goldenPath));
+    const actual = PNG.sync.read(buffer);
+    if (golden.width !== actual.width || golden.height !== actual.height) {
+      writeOutput(testCase.name, { actual: buffer });
+      assert.fail(
+        `${testCase.name} is ${actual.width}x${actual.height}, golden is ${golden.width}x${golden.height}`
+      );
+    }
+
+    const { width, height } = golden;
+    const diff = new PNG({ width, height });
+    const mismatched = pixelmatch(
+      golden.data,
+      actual.data,
+      diff.data,
+      width,
+      height,
+      { threshold: PIXEL_THRESHOLD }
+    );
+
+    const ratio = mismatched / (width * height);
+    if (ratio > MAX_DIFF_RATIO) {
+      writeOutput(testCase.name, {
+        actual: buffer,
+        diff: PNG.sync.write(diff),
+      });
+      assert.fail(
+        `${testCase.name}: ${mismatched} pixels (${(ratio * 100).toFixed(
+          3
+        )}%) differ from the golden image. See test/visual/output/${
+          testCase.name
+        }.diff.png`
+      );
+    }
+  });
+}
@@ -0,0 +1,319 @@
+const { splitWords } = require("./shared");
+
+/**
+ * Inline caption markup
+ *
+ * Captions may emphasize words with a small markup syntax:
+ * - `**bold**`                   bold weight
+ * - `{color:#ff2d55}word{/}`     custom text color (any CSS color)
+ * - `[[highlight]]`              colored highlight bubble behind the words
+ *
+ * Markers can be nested (e.g. `[[**SALE**]]`) and a backslash escapes the next
+ * character (`\*\*` renders literal asterisks). Parsed text becomes a list of
+ * runs: `{ text, bold, color, highlight, emoji }`, where `color` is null unless
+ * set and `emoji` marks runs of color emoji clusters (see emoji.js).
+ */
+
+const MARKUP_TOKEN_PATTERN =
+  /\\([\s\S])|\*\*|\[\[|\]\]|\{color:([^{}]+)\}|\{\/\}/g;
+
+/**
+ * Check whether two runs share the same styling
+ */
+function sameStyle(a, b) {
+  return (
+    a.bold === b.bold &&
+    a.color === b.color &&
+    a.highlight === b.highlight &&
+    Boolean(a.emoji) === Boolean(b.emoji)
+  );
+}
+
+/**
+ * Create a run with explicit default styling
+ *
+ * @param {string} text - Run text
+ * @param {Object} style - Partial run style
+ * @returns {Object} Run
+ */
+function createRun(
+  text,
+  { bold = false, color = null, highlight = false, emoji = false } = {}
+) {
+  return { text, bold, color, highlight, emoji };
+}
+
+/**
+ * Merge adjacent runs with identical styling and drop empty runs
+ *
+ * @param {Object[]} runs - Runs to merge
+ * @returns {Object[]} Merged runs
+ */
+function mergeRuns(runs) {
+  const merged = [];
+
+  runs.forEach((run) => {
+    if (!run.text) return;
+
+    const previous = merged[merged.length - 1];
+    if (previous && sameStyle(previous, run)) {
+      previous.text += run.text;
+    } else {
+      merged.push({ ...run });
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Parse caption markup into styled runs
+ *
+ * @param {string} text - Caption text with optional markup
+ * @returns {Object[]} Styled runs
+ */
+function parseMarkup(text) {
+  const runs = [];
+  const colorStack = [];
+  let bold = false;
+  let highlight = false;
+  let buffer = "";
+  let lastIndex = 0;
+
+  const flush = () => {
+    if (buffer) {
+      runs.push(
+        createRun(buffer, {
+          bold,
+          color: colorStack[colorStack.length - 1] || null,
+          highlight,
+        })
+      );
+      buffer = "";
+    }
+  };
+
+  for (const match of text.matchAll(MARKUP_TOKEN_PATTERN)) {
+    buffer += text.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    const [token, escaped, color] = match;
+
+    if (escaped !== undefined) {
+      buffer += escaped;
+      continue;
+    }
+
+    // Closing markers without an opener are kept as literal text
+    if (token === "]]" && !highlight) {
+      buffer += token;
+      continue;
+    }
+    if (token === "{/}" && colorStack.length === 0) {
+      buffer += token;
+      continue;
+    }
+
+    flush();
+
+    if (token === "**") {
+      bold = !bold;
+    } else if (token === "[[") {
+      highlight = true;
+    } else if (token === "]]") {
+      highlight = false;
+    } else if (color !== undefined) {
+      colorStack.push(color.trim());
+    } else {
+      colorStack.pop();
+    }
+  }
+
+  buffer += text.slice(lastIndex);
+  flush();
+
+  return mergeRuns(runs);
+}
+
+/**
+ * Remove markup, returning the plain caption text
+ *
+ * @param {string} text - Caption text with optional markup
+ * @returns {string} Plain text
+ */
+function stripMarkup(text) {
+  return runsToText(parseMarkup(text));
+}
+
+/**
+ * Concatenate run text
+ *
+ * @param {Object[]} runs - Styled runs
+ * @returns {string} Plain text
+ */
+function runsToText(runs) {
+  return runs.map((run) => run.text).join("");
+}
+
+/**
+ * Split runs into lines at newline characters, dropping blank lines
+ *
+ * @param {Object[]} runs - Styled runs (may contain "\n")
+ * @returns {Object[][]} Runs per line
+ */
+function splitRunsByNewlines(runs) {
+  const lines = [[]];
+
+  runs.forEach((run) => {
+    run.text.split("\n").forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ ...run, text: part });
+    });
+  });
+
+  return lines
+    .map((line) => trimRuns(line))
+    .filter((line) => runsToText(line).trim().length > 0);
+}
+
+/**
+ * Trim leading and trailing whitespace across a line of runs
+ *
+ * @param {Object[]} runs - Styled runs
+ * @returns {Object[]} Trimmed runs
+ */
+function trimRuns(runs) {
+  const trimmed = runs.map((run) => ({ ...run }));
+
+  while (trimmed.length > 0) {
+    trimmed[0].text = trimmed[0].text.replace(/^\s+/, "");
+    if (trimmed[0].text) break;
+    trimmed.shift();
+  }
+
+  while (trimmed.length > 0) {
+    const last = trimmed[trimmed.length - 1];
+    last.text = last.text.replace(/\s+$/, "");
+    if (last.text) break;
+    trimmed.pop();
+  }
+
+  return trimmed;
+}
+
+/**
+ * Slice runs by character offsets into their concatenated text
+ *
+ * @param {Object[]} runs - Styled runs
+ * @param {number} start - Start offset (inclusive)
+ * @param {number} end - End offset (exclusive)
+ * @returns {Object[]} Runs covering text.slice(start, end)
+ */
+function sliceRuns(runs, start, end) {
+  const sliced = [];
+  let offset = 0;
+
+  runs.forEach((run) => {
+    const runStart = Math.max(start, offset);
+    const runEnd = Math.min(end, offset + run.text.length);
+    if (runStart < runEnd) {
+      sliced.push({
+        ...run,
+        text: run.text.slice(runStart - offset, runEnd - offset),
+      });
+    }
+    offset += run.text.length;
+  });
+
+  return sliced;
+}
+
+/**
+ * Collapse whitespace (newlines included) to single spaces and trim the ends
+ *
+ * @param {Object[]} runs - Styled runs
+ * @returns {Object[]} Normalized runs
+ */
+function collapseWhitespace(runs) {
+  const collapsed = [];
+  let previousEndsWithSpace = true;
+
+  runs.forEach((run) => {
+    let text = run.text.replace(/\s+/g, " ");
+    if (previousEndsWithSpace) text = text.replace(/^ /, "");
+    if (!text) return;
+
+    collapsed.push({ ...run, text });
+    previousEndsWithSpace = text.endsWith(" ");
+  });
+
+  return trimRuns(collapsed);
+}
+
+/**
+ * Split runs into words at line break opportunities (see splitWords in
+ * shared/line-breaking.js)
+ * A word keeps the space that follows it and every styled segment it spans
+ * (e.g. "super**cool** " is one word made of two runs). Scripts without
+ * spaces yield words of single ideographs or grapheme clusters.
+ *
+ * @param {Object[]} runs - Styled runs
+ * @returns {Object[][]} Words as arrays of runs
+ */
+function splitRunsIntoWords(runs) {
+  const normalized = collapseWhitespace(runs);
+  let start = 0;
+
+  return splitWords(runsToText(normalized)).map((word) => {
+    start += word.length;
+    return sliceRuns(normalized, start - word.length, start);
+  });
+}
+
+/**
+ * Join words back into a line of runs
+ * The space after a word is only highlighted when the next word is too, so
+ * highlight bubbles span phrases but do not stick out past their last word.
+ *
+ * @param {Object[][]} words - Words as arrays of runs
+ * @returns {Object[]} Styled runs
+ */
+function joinWords(words) {
+  const runs = [];
+
+  words.forEach((word, index) => {
+    const next = words[index + 1];
+    const nextHighlighted = Boolean(next && next[0].highlight);
+
+    word.forEach((run, runIndex) => {
+      const trailingSpace = /\s+$/.exec(run.text);
+      if (
+        runIndex < word.length - 1 ||
+        !trailingSpace ||
+        !run.highlight ||
+        nextHighlighted
+      ) {
+        runs.push(run);
+        return;
+      }
+
+      runs.push({ ...run, text: run.text.slice(0, trailingSpace.index) });
+      runs.push({ ...run, text: trailingSpace[0], highlight: false });
+    });
+  });
+
+  return mergeRuns(trimRuns(runs));
+}
+
+module.exports = {
+  parseMarkup,
+  stripMarkup,
+  createRun,
+  mergeRuns,
+  runsToText,
+  splitRunsByNewlines,
+  splitRunsIntoWords,
+  joinWords,
+  trimRuns,
+  sliceRuns,
+};
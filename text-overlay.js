@@ -1,25 +1,117 @@
-const { createCanvas, loadImage, registerFont } = require("canvas");
+const { createCanvas, loadImage } = require("@napi-rs/canvas");
 const fs = require("fs");
 const path = require("path");
+const { drawBackground } = require("./background-fit");
+const { OUTPUT_FORMATS, encodeCanvas } = require("./image-encoder");
+const { FontRegistry } = require("./font-registry");
+const {
+  parseMarkup,
+  createRun,
+  runsToText,
+  splitRunsByNewlines,
+  splitRunsIntoWords,
+  joinWords,
+  sliceRuns,
+} = require("./text-markup");
+const {
+  splitGraphemes,
+  splitEmojiRuns,
+  preloadEmojiSprites,
+  getEmojiSprite,
+} = require("./emoji");
+const {
+  TEXT_DIRECTIONS,
+  resolveDirection,
+  reorderRunsVisually,
+} = require("./bidi");
+const {
+  isHyphenationLanguage,
+  getHyphenationPoints,
+} = require("./hyphenation");
+const {
+  buildConnectedBubblePath,
+  tracePath,
+  ANCHOR_POINTS,
+  TEXT_ALIGNMENTS,
+  SAFE_ZONE_PROFILES,
+  getSafeZones,
+  findSafeZoneViolations,
+  WRAP_MODES,
+  LAYOUT_DEFAULTS,
+  scaleStyle,
+  splitTextByNewlines,
+  hasExplicitBreaks,
+  getMaxTextWidth,
+  wrapWords,
+  calculateBlockHeight,
+  layoutLines,
+  findFittingFontSize,
+  getSafeBreakPoints,
+  breakLongWord,
+} = require("./shared");
 
 /**
- * Simple text line splitting based on newline characters only
- * @param {string} text - Input text to split
- * @returns {string[]} Array of lines split by \n
+ * Load a background image without touching the disk for in-memory input
+ * In-memory images that do not decode fail with code "INVALID_IMAGE".
+ *
+ * @param {string|Buffer|Readable} image - File path, image contents or a readable stream
+ * @returns {Promise<Image>}
  */
-function splitTextByNewlines(text) {
-  // Convert escaped newlines to actual newlines
-  const processedText = text.replace(/\\n/g, "\n");
-  return processedText.split("\n").filter((line) => line.trim().length > 0);
+async function loadBackgroundImage(image) {
+  if (typeof image === "string") {
+    return loadImage(image);
+  }
+
+  let contents = image;
+  if (image && typeof image.pipe === "function") {
+    const chunks = [];
+    for await (const chunk of image) {
+      chunks.push(chunk);
+    }
+    contents = Buffer.concat(chunks);
+  }
+
+  try {
+    return await loadImage(contents);
+  } catch (error) {
+    // Uploads are only sniffed for their type; a truncated or corrupt file
+    // gets this far
+    error.code = "INVALID_IMAGE";
+    throw error;
+  }
 }
 
-// TikTok UI safe zones (from preview tool)
-// Note: Only enforced in auto-wrap mode per product requirements
-const TIKTOK_SAFE_ZONES = {
-  right: { x: 870, width: 154 },
-  bottom: { y: 1200, height: 336 },
+/**
+ * Context for measuring text without drawing it
+ * Measurement only depends on the font, so one pixel is enough.
+ *
+ * @returns {CanvasRenderingContext2D}
+ */
+function createMeasureContext() {
+  return createCanvas(1, 1).getContext("2d");
+}
+
+// TikTok in-app text styles. Each entry holds the defaults it layers between
+// the base configuration and per-request options.
+const TEXT_STYLES = {
+  bubble: {}, // Classic white bubble with dark text (base configuration)
+  "dark-bubble": {
+    bubbleColor: "#000000",
+    bubbleOpacity: 0.6,
+    textColor: "#FFFFFF",
+  },
+  "solid-bubble": {
+    bubbleColor: "#FE2C55",
+    bubbleOpacity: 1,
+    textColor: "#FFFFFF",
+  },
+  outline: { textColor: "#FFFFFF" },
+  shadow: { textColor: "#FFFFFF" },
 };
 
+// Styles that paint a background bubble behind each line
+const BUBBLE_TEXT_STYLES = ["bubble", "dark-bubble", "solid-bubble"];
+
 /**
  * TikTok Text Overlay Implementation
  *
@@ -33,7 +125,12 @@ const TIKTOK_SAFE_ZONES = {
  * - Consistent Formatting: Clear structure and indentation
  */
 class TikTokTextOverlay {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {FontRegistry} options.fontRegistry - Registry of available fonts (bundled fonts are loaded when omitted)
+   */
+  constructor({ fontRegistry } = {}) {
+    this.fontRegistry = fontRegistry || new FontRegistry().loadAll();
     this.initializeConfiguration();
   }
 
@@ -42,36 +139,122 @@ class TikTokTextOverlay {
    */
   initializeConfiguration() {
     this.config = {
-      // Canvas dimensions (9:16 aspect ratio for TikTok)
-      width: 1024,
-      height: 1536,
+      // Output size, font size, bubble metrics, wrapping and placement
+      // (shared with the preview, see shared/layout.js); pixel options are
+      // scaled from 1024x1536
+      ...LAYOUT_DEFAULTS,
+
+      // Encoding: 'png', 'jpeg', 'webp' or 'avif'
+      format: "png",
+      quality: null, // 1-100 for lossy formats (null = the format's default)
+      maxBytes: null, // Lower the quality until the file fits (null = no budget)
+
+      // Background fitting for non-9:16 images
+      fit: "cover", // 'cover', 'contain', 'blur-fill', 'stretch'
+      focalX: 0.5, // Cover crop focal point (0 = left, 1 = right)
+      focalY: 0.5, // Cover crop focal point (0 = top, 1 = bottom)
+      letterboxColor: "#000000", // Fill around 'contain' images and behind renders without an image
+      blurRadius: 40, // Blur strength for the 'blur-fill' backdrop
 
       // Text styling (Proxima Nova - modern sans-serif font)
-      fontSize: 55, // Default font size
       fontFamily: "Proxima Nova", // Using Proxima Nova as default - modern sans-serif
       fontWeight: "600", // Using Semibold 600 weight
+      boldFontWeight: "800", // Weight used for **bold** markup
       textColor: "#131313", // Very dark gray, almost black
 
+      // Inline markup (**bold**, {color:#hex}text{/}, [[highlight]])
+      markup: true,
+      highlightColor: "#FE2C55", // TikTok red highlight bubble
+      highlightTextColor: "#FFFFFF",
+      highlightPadding: 8, // Horizontal padding around highlighted words
+      highlightRadius: 12,
+
+      // Color emoji drawn from bundled sprites
+      emoji: true,
+      emojiScale: 1.1, // Emoji size relative to fontSize
+
+      // Text style variant: 'bubble', 'dark-bubble', 'solid-bubble', 'outline', 'shadow'
+      textStyle: "bubble",
+
       // Bubble styling (CapCut-style white bubbles)
       bubbleColor: "#FFFFFF",
-      bubbleOpacity: 1, // Removed transparency - completely opaque
-      bubblePadding: 20, // Increased by 20% from 16 to 20
-      horizontalPadding: 26, // 30% more than bubblePadding (20 * 1.3 = 26)
-      bubbleRadius: 25, // Increased by 40% from 12 to 17
+      bubbleOpacity: 1, // Completely opaque by default
+      bubbleShape: "separate", // 'separate' per-line bubbles or one 'connected' outline
 
-      // Shadow effects for depth
+      // Stroke for the 'outline' text style
+      outlineColor: "#000000",
+      outlineWidth: 6,
+
+      // Shadow effects for the 'shadow' text style
       shadowColor: "rgba(0, 0, 0, 0.3)",
       shadowBlur: 4,
       shadowOffsetX: 2,
       shadowOffsetY: 2,
 
-      // Text layout and positioning
-      maxWidth: 900,
-      lineHeight: 0.75, // Default line height multiplier
-      position: "bottom", // 'top', 'center', 'bottom'
+      // Auto-fit: search fontSize within bounds so the text fits its box
+      autoFit: false,
+      minFontSize: 28,
+      maxFontSize: 80,
+      maxLines: null, // Maximum line count (null = unlimited)
+      maxBlockHeight: null, // Maximum block height in px (null = height of the safe area)
+
+      // Auto-wrap line breaking
+      breakLongWords: true, // Split words wider than the line instead of overflowing
+      hyphenate: false, // Break long words at hyphenation points first
+      language: "en-us", // Hyphenation patterns (bundled 'hyphen' languages)
+
+      // Text direction for bidi reordering and 'start'/'end' alignment
+      direction: "auto", // 'auto' (from the first strong character), 'ltr' or 'rtl'
     };
   }
 
+  /**
+   * Resolve the rendering style for a single call
+   * Options are merged over the default configuration without mutating it,
+   * so concurrent renders never see each other's settings. The selected
+   * text style's defaults sit between the configuration and the options.
+   * Pixel metrics are then scaled from the reference canvas to the output size.
+   *
+   * @param {Object} options - Per-call overrides (undefined/null values are ignored)
+   * @returns {Object} Frozen style object
+   */
+  resolveStyle(options = {}) {
+    const overrides = {};
+    for (const [key, value] of Object.entries(options || {})) {
+      if (value !== undefined && value !== null) {
+        overrides[key] = value;
+      }
+    }
+    const textStyle = overrides.textStyle || this.config.textStyle;
+    return Object.freeze(
+      scaleStyle({
+        ...this.config,
+        ...(Object.hasOwn(TEXT_STYLES, textStyle)
+          ? TEXT_STYLES[textStyle]
+          : {}),
+        ...overrides,
+      })
+    );
+  }
+
+  /**
+   * Ensure a font family is registered before drawing with it
+   * The canvas silently substitutes a system font for unknown families.
+   *
+   * @param {string} fontFamily - Requested font family
+   */
+  assertFontAvailable(fontFamily) {
+    if (!this.fontRegistry.hasFamily(fontFamily)) {
+      const available = this.fontRegistry
+        .listFamilies()
+        .map((font) => font.family)
+        .join(", ");
+      throw new Error(
+        `Font family "${fontFamily}" is not registered. Available fonts: ${available}`
+      );
+    }
+  }
+
   /**
    * Calculate text dimensions and line breaks
    * - Uses explicit newlines if provided by user
@@ -80,120 +263,254 @@ class TikTokTextOverlay {
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {string} text - Text to measure
    * @param {number} maxWidth - Maximum width before wrapping (not used in simple mode)
+   * @param {Object} style - Resolved style (defaults to the base configuration)
    * @returns {Object} Text metrics including lines, lineHeight, and totalHeight
    */
-  calculateTextMetrics(ctx, text, maxWidth) {
+  calculateTextMetrics(ctx, text, maxWidth, style = this.config) {
     // Determine mode: explicit line breaks vs. auto-wrap
-    const hasExplicitBreaks = /\n|\\n/.test(text);
-    const lines = hasExplicitBreaks
-      ? splitTextByNewlines(text)
-      : this.autoWrapLines(ctx, text);
+    const lines = hasExplicitBreaks(text)
+      ? splitRunsByNewlines(this.parseTextRuns(text, style))
+      : this.autoWrapLines(ctx, text, style);
 
     return {
       lines: lines,
-      lineHeight: this.config.fontSize * this.config.lineHeight,
-      totalHeight: lines.length * this.config.fontSize * this.config.lineHeight,
+      lineHeight: style.fontSize * style.lineHeight,
+      totalHeight: lines.length * style.fontSize * style.lineHeight,
     };
   }
 
   /**
-   * Decide if we should auto-wrap (no explicit newlines)
-   * @param {string} text
-   * @returns {boolean}
+   * Convert caption text into styled runs
+   * Escaped newlines become real newlines; markup is parsed and emoji
+   * clusters are split into their own runs when enabled.
+   *
+   * @param {string} text - Caption text
+   * @param {Object} style - Resolved style
+   * @returns {Object[]} Styled runs
+   */
+  parseTextRuns(text, style = this.config) {
+    const processedText = text.replace(/\\n/g, "\n");
+    const runs = style.markup
+      ? parseMarkup(processedText)
+      : [createRun(processedText)];
+    return style.emoji ? splitEmojiRuns(runs) : runs;
+  }
+
+  /**
+   * Build the canvas font string for a run
+   *
+   * @param {Object} style - Resolved style
+   * @param {Object} run - Styled run (bold switches to boldFontWeight)
+   * @returns {string} CSS font shorthand
+   */
+  getRunFont(style, run = {}) {
+    const weight = run.bold ? style.boldFontWeight : style.fontWeight;
+    return `${weight} ${style.fontSize}px "${style.fontFamily}"`;
+  }
+
+  /**
+   * Measure a line of styled runs, including the room kept for highlight
+   * bubbles (see getHighlightInsets)
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object[]} runs - Styled runs
+   * @param {Object} style - Resolved style
+   * @returns {number} Total advance width
+   */
+  measureRuns(ctx, runs, style = this.config) {
+    return runs.reduce((width, run, index) => {
+      const { before, after } = this.getHighlightInsets(runs, index, style);
+      return width + before + this.measureRun(ctx, run, style) + after;
+    }, 0);
+  }
+
+  /**
+   * Room kept beside a run for its highlight bubble, which reaches
+   * highlightPadding past the text: before the first and after the last run
+   * of a highlighted stretch, so the bubble does not touch its neighbours
+   *
+   * @param {Object[]} runs - Styled runs of one line
+   * @param {number} index - Index of the run
+   * @param {Object} style - Resolved style
+   * @returns {{before: number, after: number}}
    */
-  shouldAutoWrap(text) {
-    return !/\n|\\n/.test(text);
+  getHighlightInsets(runs, index, style = this.config) {
+    if (!runs[index].highlight) {
+      return { before: 0, after: 0 };
+    }
+
+    const highlighted = (run) => Boolean(run && run.highlight);
+    return {
+      before: highlighted(runs[index - 1]) ? 0 : style.highlightPadding,
+      after: highlighted(runs[index + 1]) ? 0 : style.highlightPadding,
+    };
   }
 
   /**
-   * Compute the maximum bubble width allowed when centered, obeying right/left constraints.
-   * Right safe zone starts at x=870, left boundary is x=0. With centered alignment, we cap
-   * the bubble so its right edge never exceeds 870, and left edge never goes < 0.
-   * @returns {number}
+   * Measure a single styled run
+   * Emoji runs advance one emoji box per grapheme cluster.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} run - Styled run
+   * @param {Object} style - Resolved style
+   * @returns {number} Advance width
    */
-  getMaxBubbleWidthForAutoMode() {
-    const canvasWidth = this.config.width; // 1024
-    const centerX = canvasWidth / 2; // 512
-    const rightBoundary = TIKTOK_SAFE_ZONES.right.x; // 870
-    const leftBoundary = 0;
+  measureRun(ctx, run, style = this.config) {
+    if (run.emoji) {
+      return (
+        splitGraphemes(run.text).length * style.fontSize * style.emojiScale
+      );
+    }
 
-    const maxHalfWidthRight = rightBoundary - centerX; // 358
-    const maxHalfWidthLeft = centerX - leftBoundary; // 512
-    const maxHalfWidth = Math.min(maxHalfWidthRight, maxHalfWidthLeft);
-    return maxHalfWidth * 2; // 716
+    ctx.font = this.getRunFont(style, run);
+    return ctx.measureText(run.text).width;
   }
 
   /**
    * Auto-wrap text into lines without breaking words.
    * - Only used when no explicit newlines are provided
    * - Enforces safe horizontal zone by limiting bubble width
-   * - Greedy word wrapping using canvas measurement
+   * - Greedy or balanced wrapping (style.wrap) using canvas measurement of styled runs
    *
    * @param {CanvasRenderingContext2D} ctx
    * @param {string} rawText
-   * @returns {string[]}
-   */
-  autoWrapLines(ctx, rawText) {
-    // Normalize whitespace and treat multiple spaces as single separators
-    const normalized = rawText
-      .replace(/\\n/g, "\n")
-      .replace(/\n/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
-
-    if (normalized.length === 0) return [];
-
-    const maxBubbleWidth = this.getMaxBubbleWidthForAutoMode();
-    const maxTextWidth = Math.max(
-      0,
-      maxBubbleWidth - 2 * this.config.horizontalPadding
+   * @param {Object} style - Resolved style (defaults to the base configuration)
+   * @returns {Object[][]} Styled runs per line
+   */
+  autoWrapLines(ctx, rawText, style = this.config) {
+    // Newlines act as plain separators; splitting on whitespace collapses runs of spaces
+    const words = splitRunsIntoWords(this.parseTextRuns(rawText, style));
+
+    const lines = wrapWords(
+      words,
+      (lineWords) => this.measureRuns(ctx, joinWords(lineWords), style),
+      style
+    ).map(joinWords);
+    const maxTextWidth = getMaxTextWidth(style);
+
+    // Only single-word lines can be too wide; split them over several lines
+    if (!style.breakLongWords) return lines;
+    return lines.flatMap((runs) =>
+      this.measureRuns(ctx, runs, style) > maxTextWidth
+        ? this.splitLongWord(ctx, runs, maxTextWidth, style)
+        : [runs]
     );
+  }
 
-    const words = normalized.split(" ");
-    const lines = [];
-    let currentLine = "";
-
-    for (const word of words) {
-      const candidate = currentLine ? `${currentLine} ${word}` : word;
-      const candidateWidth = ctx.measureText(candidate).width;
-
-      if (candidateWidth <= maxTextWidth) {
-        currentLine = candidate;
-        continue;
+  /**
+   * Split a word that is wider than a line into pieces that fit
+   * Breaks at hyphenation points (when hyphenate is set) or safe URL/hashtag
+   * points, else between grapheme clusters (see breakLongWord in
+   * shared/line-breaking.js).
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object[]} runs - The word's styled runs
+   * @param {number} maxTextWidth - Widest allowed line
+   * @param {Object} style - Resolved style
+   * @returns {Object[][]} Styled runs per line
+   */
+  splitLongWord(ctx, runs, maxTextWidth, style = this.config) {
+    const text = runsToText(runs);
+    const breakPoints = [
+      ...(style.hyphenate ? getHyphenationPoints(text, style.language) : []),
+      ...getSafeBreakPoints(text),
+    ];
+
+    const piece = (start, end, hyphen) => {
+      const pieceRuns = sliceRuns(runs, start, end);
+      if (hyphen) {
+        const last = pieceRuns[pieceRuns.length - 1];
+        pieceRuns.push({ ...last, text: "-", emoji: false });
       }
+      return pieceRuns;
+    };
 
-      // Candidate would exceed available width
-      if (currentLine) {
-        // Push current line and start a new one with the word
-        lines.push(currentLine);
-        currentLine = word;
-      } else {
-        // Single word longer than allowed width: place it on its own line (allowed to overflow)
-        lines.push(word);
-        currentLine = "";
-      }
-    }
+    return breakLongWord(
+      text,
+      maxTextWidth,
+      (start, end, hyphen) =>
+        this.measureRuns(ctx, piece(start, end, hyphen), style),
+      breakPoints
+    ).map(({ start, end, hyphen }) => piece(start, end, hyphen));
+  }
+
+  /**
+   * Check whether text wrapped at a style's font size fits the auto-fit box:
+   * no line wider than the safe width, at most maxLines lines and a block no
+   * taller than maxBlockHeight.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} text - Text to lay out
+   * @param {Object} style - Resolved style with the candidate fontSize
+   * @returns {boolean}
+   */
+  textFitsBox(ctx, text, style) {
+    const { lines } = this.calculateTextMetrics(
+      ctx,
+      text,
+      style.maxWidth,
+      style
+    );
+    const maxTextWidth = getMaxTextWidth(style);
+    const maxBlockHeight =
+      style.maxBlockHeight ||
+      getSafeZones(style.safeZone, style.width, style.height).safeArea.height;
+
+    return (
+      (!style.maxLines || lines.length <= style.maxLines) &&
+      calculateBlockHeight(lines.length, style) <= maxBlockHeight &&
+      lines.every((runs) => this.measureRuns(ctx, runs, style) <= maxTextWidth)
+    );
+  }
 
-    if (currentLine) {
-      lines.push(currentLine);
+  /**
+   * Find the largest whole font size between minFontSize and maxFontSize at
+   * which the text fits its box (binary search; wrapping only gets looser as
+   * the font shrinks). Falls back to minFontSize when even that overflows.
+   * Words are kept whole during the search, so the font shrinks before a
+   * long word is split; breaking it (breakLongWords) is only the fallback.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} text - Text to lay out
+   * @param {Object} style - Resolved style
+   * @returns {{style: Object, fits: boolean}} Style with the chosen fontSize
+   */
+  fitFontSize(ctx, text, style) {
+    const wholeWords = findFittingFontSize(style, (candidate) =>
+      this.textFitsBox(ctx, text, { ...candidate, breakLongWords: false })
+    );
+    if (wholeWords.fits || !style.breakLongWords) {
+      return wholeWords;
     }
 
-    return lines;
+    // At minFontSize the long words are broken; that may still fit
+    return {
+      style: wholeWords.style,
+      fits: this.textFitsBox(ctx, text, wholeWords.style),
+    };
   }
 
   /**
-   * Draw rounded rectangle bubble background with shadow effects
+   * Trace a rounded rectangle path (caller fills or strokes it)
    *
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {number} x - X position
    * @param {number} y - Y position
-   * @param {number} width - Bubble width
-   * @param {number} height - Bubble height
+   * @param {number} width - Rectangle width
+   * @param {number} height - Rectangle height
    * @param {number} radius - Corner radius
    */
-  drawBubble(ctx, x, y, width, height, radius) {
-    // Create rounded rectangle path
+  traceRoundedRect(ctx, x, y, width, height, radius) {
     ctx.beginPath();
+    this.addRoundedRectPath(ctx, x, y, width, height, radius);
+  }
+
+  /**
+   * Append a closed rounded rectangle to the current path
+   * Rectangles share a winding direction, so filling several at once
+   * paints their union (overlaps are not painted twice).
+   */
+  addRoundedRectPath(ctx, x, y, width, height, radius) {
     ctx.moveTo(x + radius, y);
     ctx.lineTo(x + width - radius, y);
     ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
@@ -204,147 +521,554 @@ class TikTokTextOverlay {
     ctx.lineTo(x, y + radius);
     ctx.quadraticCurveTo(x, y, x + radius, y);
     ctx.closePath();
+  }
 
-    // Apply shadow effects
-    ctx.shadowColor = "transparent"; // Removed shadow
-    ctx.shadowBlur = 0; // Removed shadow blur
-    ctx.shadowOffsetX = 0; // Removed shadow offset
-    ctx.shadowOffsetY = 0; // Removed shadow offset
+  /**
+   * Place styled runs left to right from startX on one line
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context (only used to measure)
+   * @param {Object[]} runs - Styled runs
+   * @param {number} startX - Left edge of the line's text
+   * @param {Object} style - Resolved style
+   * @returns {Object[]} Runs with their x position and width
+   */
+  placeRuns(ctx, runs, startX, style = this.config) {
+    let cursorX = startX;
+    return runs.map((run, index) => {
+      const { before, after } = this.getHighlightInsets(runs, index, style);
+      const width = this.measureRun(ctx, run, style);
+      const placed = { ...run, x: cursorX + before, width };
+      cursorX += before + width + after;
+      return placed;
+    });
+  }
 
-    // Fill bubble background with opacity
-    ctx.globalAlpha = 1; // Removed transparency - completely opaque
-    ctx.fillStyle = this.config.bubbleColor;
-    ctx.fill();
+  /**
+   * Draw placed runs on one line
+   * Highlight bubbles are painted first so they sit behind the glyphs.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object[]} placedRuns - Runs with their x position and width (see placeRuns)
+   * @param {number} centerY - Vertical center of the line (textBaseline "middle")
+   * @param {number} highlightHeight - Height of highlight bubbles
+   * @param {Object} style - Resolved style
+   */
+  drawRuns(ctx, placedRuns, centerY, highlightHeight, style = this.config) {
+    placedRuns
+      .filter((run) => run.highlight)
+      .forEach((run) => {
+        this.traceRoundedRect(
+          ctx,
+          run.x - style.highlightPadding,
+          centerY - highlightHeight / 2,
+          run.width + style.highlightPadding * 2,
+          highlightHeight,
+          style.highlightRadius
+        );
+        ctx.fillStyle = style.highlightColor;
+        ctx.fill();
+      });
+
+    ctx.textAlign = "left";
+    if (style.textStyle === "shadow") {
+      ctx.shadowColor = style.shadowColor;
+      ctx.shadowBlur = style.shadowBlur;
+      ctx.shadowOffsetX = style.shadowOffsetX;
+      ctx.shadowOffsetY = style.shadowOffsetY;
+    }
+
+    placedRuns.forEach((run) => {
+      ctx.font = this.getRunFont(style, run);
+      // Right-to-left pieces get an rtl base so their brackets are mirrored
+      ctx.direction = run.direction === "rtl" ? "rtl" : "ltr";
+      if (run.emoji) {
+        this.drawEmojiRun(ctx, run, centerY, style);
+        return;
+      }
+
+      if (style.textStyle === "outline") {
+        // Stroke is centered on the glyph edge; the fill covers the inner half
+        ctx.lineJoin = "round";
+        ctx.lineWidth = style.outlineWidth * 2;
+        ctx.strokeStyle = style.outlineColor;
+        ctx.strokeText(run.text, run.x, centerY);
+      }
+
+      ctx.fillStyle =
+        run.color ||
+        (run.highlight ? style.highlightTextColor : style.textColor);
+      ctx.fillText(run.text, run.x, centerY);
+    });
 
-    // Reset shadow and opacity for text rendering
     ctx.shadowColor = "transparent";
-    ctx.globalAlpha = 1;
   }
 
   /**
-   * Calculate vertical position based on configuration setting
+   * Draw an emoji run from its sprites, one emoji box per cluster
+   * Clusters whose sprite failed to load fall back to the font's glyph.
    *
-   * @param {number} canvasHeight - Canvas height
-   * @param {number} totalTextHeight - Total height of all text lines
-   * @param {number} lineCount - Number of text lines
-   * @returns {number} Y position for first line placement
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} run - Placed emoji run
+   * @param {number} centerY - Vertical center of the line
+   * @param {Object} style - Resolved style
    */
-  calculateVerticalPosition(canvasHeight, totalTextHeight, lineCount) {
-    const lineHeight = this.config.fontSize * this.config.lineHeight;
-    const bubbleHeight = lineHeight + this.config.bubblePadding * 2;
-    const overlapBetweenBubbles = 10; // 10px overlap between bubbles
-    const totalBubbleHeight =
-      lineCount * bubbleHeight - (lineCount - 1) * overlapBetweenBubbles; // Subtract overlaps
+  drawEmojiRun(ctx, run, centerY, style = this.config) {
+    const size = style.fontSize * style.emojiScale;
 
-    switch (this.config.position) {
-      case "top":
-        return canvasHeight * 0.15; // 15% from top
-      case "bottom":
-        return canvasHeight * 0.85 - totalBubbleHeight; // 15% from bottom
-      case "center":
-      default:
-        return (canvasHeight - totalBubbleHeight) / 2; // Center
+    splitGraphemes(run.text).forEach((cluster, index) => {
+      const x = run.x + index * size;
+      const sprite = getEmojiSprite(cluster);
+
+      if (sprite) {
+        ctx.drawImage(sprite, x, centerY - size / 2, size, size);
+      } else {
+        ctx.fillStyle = style.textColor;
+        ctx.fillText(cluster, x, centerY);
+      }
+    });
+  }
+
+  /**
+   * Draw the background bubbles for every line in a single fill
+   * One fill keeps translucent bubbles from darkening where lines overlap.
+   * The 'connected' shape merges all lines into one outline with smooth
+   * concave corners, like TikTok's native multi-line background.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object[]} bubbles - Rectangles { x, y, width, height }
+   * @param {Object} style - Resolved style
+   */
+  drawBubbles(ctx, bubbles, style = this.config) {
+    ctx.beginPath();
+    if (style.bubbleShape === "connected") {
+      tracePath(
+        ctx,
+        buildConnectedBubblePath(bubbles, {
+          radius: style.bubbleRadius,
+          innerRadius: style.bubbleInnerRadius,
+        })
+      );
+    } else {
+      bubbles.forEach(({ x, y, width, height }) => {
+        this.addRoundedRectPath(ctx, x, y, width, height, style.bubbleRadius);
+      });
     }
+    this.fillBubblePath(ctx, style);
   }
 
   /**
-   * Main method to add text overlay to image
+   * Fill the current bubble path with the bubble color and opacity
    *
-   * @param {string} imagePath - Input image path
-   * @param {string} text - Text to overlay
-   * @param {string} outputPath - Output image path
-   * @returns {Promise<string>} Path to generated image
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} style - Resolved style
    */
-  async addTextOverlay(imagePath, text, outputPath) {
-    try {
-      console.log(`🔄 Processing image: ${imagePath}`);
-      console.log(`📝 Adding text: "${text}"`);
+  fillBubblePath(ctx, style = this.config) {
+    // Bubbles sit flat on the image; shadows are reserved for the 'shadow' text style
+    ctx.shadowColor = "transparent";
+    ctx.shadowBlur = 0;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+
+    ctx.globalAlpha = style.bubbleOpacity;
+    ctx.fillStyle = style.bubbleColor;
+    ctx.fill();
+
+    // Reset opacity for text rendering
+    ctx.globalAlpha = 1;
+  }
 
-      // Load the background image
-      const image = await loadImage(imagePath);
+  /**
+   * Draw rounded rectangle bubble background
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} width - Bubble width
+   * @param {number} height - Bubble height
+   * @param {number} radius - Corner radius
+   * @param {Object} style - Resolved style (defaults to the base configuration)
+   */
+  drawBubble(ctx, x, y, width, height, radius, style = this.config) {
+    // Create rounded rectangle path
+    this.traceRoundedRect(ctx, x, y, width, height, radius);
+    this.fillBubblePath(ctx, style);
+  }
 
-      // Create canvas with TikTok dimensions
-      const canvas = createCanvas(this.config.width, this.config.height);
-      const ctx = canvas.getContext("2d");
+  /**
+   * Check a resolved style before drawing with it
+   *
+   * @param {Object} style - Resolved style
+   */
+  validateStyle(style) {
+    this.assertFontAvailable(style.fontFamily);
+    if (!Object.hasOwn(TEXT_STYLES, style.textStyle)) {
+      throw new Error(
+        `Unknown text style "${
+          style.textStyle
+        }". Available styles: ${Object.keys(TEXT_STYLES).join(", ")}`
+      );
+    }
+    if (!Object.hasOwn(ANCHOR_POINTS, style.anchor)) {
+      throw new Error(
+        `Unknown anchor "${style.anchor}". Available anchors: ${Object.keys(
+          ANCHOR_POINTS
+        ).join(", ")}`
+      );
+    }
+    if (!WRAP_MODES.includes(style.wrap)) {
+      throw new Error(
+        `Unknown wrap mode "${style.wrap}". Available modes: ${WRAP_MODES.join(
+          ", "
+        )}`
+      );
+    }
+    if (style.hyphenate && !isHyphenationLanguage(style.language)) {
+      throw new Error(
+        `No hyphenation patterns for language "${style.language}"`
+      );
+    }
+    if (!Object.hasOwn(OUTPUT_FORMATS, style.format)) {
+      throw new Error(
+        `Unknown output format "${
+          style.format
+        }". Available formats: ${Object.keys(OUTPUT_FORMATS).join(", ")}`
+      );
+    }
+    if (!Object.hasOwn(SAFE_ZONE_PROFILES, style.safeZone)) {
+      throw new Error(
+        `Unknown safe zone profile "${
+          style.safeZone
+        }". Available profiles: ${Object.keys(SAFE_ZONE_PROFILES).join(", ")}`
+      );
+    }
+    if (!TEXT_DIRECTIONS.includes(style.direction)) {
+      throw new Error(
+        `Unknown text direction "${
+          style.direction
+        }". Available directions: ${TEXT_DIRECTIONS.join(", ")}`
+      );
+    }
+    if (!TEXT_ALIGNMENTS.includes(style.textAlign)) {
+      throw new Error(
+        `Unknown text alignment "${
+          style.textAlign
+        }". Available alignments: ${TEXT_ALIGNMENTS.join(", ")}`
+      );
+    }
+  }
 
-      // Draw background image (scaled to fit 9:16 aspect ratio)
-      ctx.drawImage(image, 0, 0, this.config.width, this.config.height);
+  /**
+   * Lay out one text block without drawing it
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context (only used to measure)
+   * @param {string} text - Text to lay out
+   * @param {Object} layerStyle - Resolved style (fontSize is searched when autoFit is set)
+   * @returns {{style: Object, highlightHeight: number, layout: Object}} Style
+   *   the block is drawn with, height of its highlight bubbles and the layer
+   *   layout (placement, style summary and lines)
+   */
+  measureTextLayer(ctx, text, layerStyle = this.config) {
+    const { style, fits } = layerStyle.autoFit
+      ? this.fitFontSize(ctx, text, layerStyle)
+      : { style: layerStyle, fits: null };
+
+    // Calculate text metrics and line breaks
+    const textMetrics = this.calculateTextMetrics(
+      ctx,
+      text,
+      style.maxWidth,
+      style
+    );
 
-      // Configure text styling
-      ctx.font = `${this.config.fontWeight} ${this.config.fontSize}px ${this.config.fontFamily}`;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
+    const direction = resolveDirection(
+      runsToText(this.parseTextRuns(text, style)),
+      style.direction
+    );
 
-      // Calculate text metrics and line breaks
-      const textMetrics = this.calculateTextMetrics(
+    // Bubble and text positions come from the shared layout engine
+    const {
+      block,
+      lineHeight,
+      lines: lineBoxes,
+    } = layoutLines(textMetrics.lines, style, {
+      measure: (runs) => this.measureRuns(ctx, runs, style),
+      direction,
+    });
+
+    const hasBubble = BUBBLE_TEXT_STYLES.includes(style.textStyle);
+    const placedLines = lineBoxes.map((box, index) => ({
+      index,
+      text: runsToText(box.line),
+      // Lines wrap in logical order and are drawn in visual (bidi) order
+      runs: this.placeRuns(
         ctx,
-        text,
-        this.config.maxWidth
-      );
+        reorderRunsVisually(box.line, direction),
+        box.textX - box.lineWidth / 2,
+        style
+      ),
+      textWidth: box.lineWidth,
+      textX: box.textX,
+      textY: box.textY,
+      bubble: hasBubble ? box.bubble : null,
+    }));
+
+    // Bubbles, or the text itself for styles without one
+    const safeZoneViolations = findSafeZoneViolations(
+      lineBoxes.map((box) =>
+        hasBubble
+          ? box.bubble
+          : {
+              x: box.textX - box.lineWidth / 2,
+              y: box.textY - style.fontSize / 2,
+              width: box.lineWidth,
+              height: style.fontSize,
+            }
+      ),
+      getSafeZones(style.safeZone, style.width, style.height)
+    );
 
-      const isAutoWrap = this.shouldAutoWrap(text);
-
-      // Calculate positioning for first line
-      const lineHeight = this.config.fontSize * this.config.lineHeight;
-      const bubbleHeight = lineHeight + this.config.bubblePadding * 2;
-      const gapBetweenBubbles = -10; // Negative value creates overlap instead of gap
-
-      // TODO: Support top/center positions for auto-wrap mode if needed
-      let startY =
-        this.calculateVerticalPosition(
-          this.config.height,
-          textMetrics.totalHeight,
-          textMetrics.lines.length
-        ) - 50; // Move text 50px up
-
-      // In auto-wrap mode, clamp so the block bottom does not pass into bottom safe zone
-      if (isAutoWrap && textMetrics.lines.length > 0) {
-        const overlapBetweenBubbles = 10;
-        const totalBubbleHeight =
-          textMetrics.lines.length * bubbleHeight -
-          (textMetrics.lines.length - 1) * overlapBetweenBubbles;
-        const blockBottom = startY + totalBubbleHeight;
-        const maxBottom = TIKTOK_SAFE_ZONES.bottom.y; // 1200
-        if (blockBottom > maxBottom) {
-          startY -= blockBottom - maxBottom;
-        }
-      }
+    return {
+      style,
+      highlightHeight: lineHeight + style.bubblePadding,
+      layout: {
+        position: style.position,
+        anchor: style.anchor,
+        textAlign: style.textAlign,
+        direction,
+        safeZone: style.safeZone,
+        safeZoneViolations,
+        block,
+        textStyle: style.textStyle,
+        bubbleShape: style.bubbleShape,
+        fontSize: style.fontSize,
+        lineHeight: style.lineHeight,
+        autoWrap: !hasExplicitBreaks(text),
+        wrap: style.wrap,
+        autoFit: style.autoFit,
+        fits,
+        lines: placedLines,
+      },
+    };
+  }
 
-      // Draw individual bubbles for each line
-      textMetrics.lines.forEach((line, index) => {
-        // Calculate bubble dimensions for this specific line
-        const lineWidth = ctx.measureText(line).width;
-        const isFirstLine = index === 0;
-        const extraPadding = isFirstLine ? 0 : 0; // Add 10px extra padding only to first line
-        const bubbleWidth =
-          lineWidth + (this.config.horizontalPadding + extraPadding) * 2; // Use horizontal padding for width
-        const bubbleHeight =
-          lineHeight + (this.config.bubblePadding + extraPadding) * 2; // Add extra padding to height for first line
-
-        // Calculate bubble position
-        const bubbleX = (this.config.width - bubbleWidth) / 2;
-        const bubbleY = startY + index * (bubbleHeight + gapBetweenBubbles);
-
-        // Draw individual bubble background
-        this.drawBubble(
-          ctx,
-          bubbleX,
-          bubbleY,
-          bubbleWidth,
-          bubbleHeight,
-          this.config.bubbleRadius
-        );
+  /**
+   * Lay out and draw one text block, returning its geometry
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} text - Text to draw
+   * @param {Object} layerStyle - Resolved style (fontSize is searched when autoFit is set)
+   * @returns {Object} Layer layout (placement, style summary and lines)
+   */
+  drawTextLayer(ctx, text, layerStyle = this.config) {
+    const { style, highlightHeight, layout } = this.measureTextLayer(
+      ctx,
+      text,
+      layerStyle
+    );
 
-        // Draw text for this line
-        ctx.fillStyle = this.config.textColor;
-        const textY =
-          bubbleY + (this.config.bubblePadding + extraPadding) + lineHeight / 2;
-        ctx.fillText(line, this.config.width / 2, textY);
-      });
+    // Draw bubble backgrounds behind all lines (bubble styles only)
+    const bubbles = layout.lines.map((line) => line.bubble).filter(Boolean);
+    if (bubbles.length > 0) {
+      this.drawBubbles(ctx, bubbles, style);
+    }
+
+    // Draw text for each line, run by run
+    ctx.textBaseline = "middle";
+    layout.lines.forEach((line) => {
+      this.drawRuns(ctx, line.runs, line.textY, highlightHeight, style);
+    });
+
+    return layout;
+  }
 
-      // Save the result
-      const buffer = canvas.toBuffer("image/png");
-      fs.writeFileSync(outputPath, buffer);
+  /**
+   * Resolve and check the style of every layer
+   *
+   * @param {Object[]} layers - Layers { text, options, zIndex }
+   * @param {Object} options - Options shared by every layer
+   * @returns {Object[]} Resolved style per layer
+   */
+  resolveLayerStyles(layers, options = {}) {
+    const styles = layers.map((layer) =>
+      this.resolveStyle({ ...options, ...(layer.options || {}) })
+    );
+    styles.forEach((style) => this.validateStyle(style));
+    return styles;
+  }
+
+  /**
+   * Draw text layers onto a canvas in z-order
+   * Every layer's style is the call options overlaid with the layer's own
+   * options. Layers with a higher zIndex are drawn later (on top); equal
+   * zIndex values keep their array order.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas context (background already drawn)
+   * @param {Object[]} layers - Layers { text, options, zIndex }
+   * @param {Object} options - Options shared by every layer
+   * @returns {Promise<Object[]>} Layout per layer, in the original layer order
+   */
+  async composeLayers(ctx, layers, options = {}) {
+    const styles = this.resolveLayerStyles(layers, options);
+
+    // Emoji sprites must be loaded before drawing, which is synchronous
+    await Promise.all(
+      layers.map((layer, index) =>
+        styles[index].emoji ? preloadEmojiSprites(layer.text) : null
+      )
+    );
+
+    const drawOrder = layers
+      .map((layer, index) => ({ layer, index, zIndex: layer.zIndex || 0 }))
+      .sort((a, b) => a.zIndex - b.zIndex || a.index - b.index);
+
+    const layouts = [];
+    drawOrder.forEach(({ layer, index, zIndex }) => {
+      layouts[index] = {
+        index,
+        zIndex,
+        text: layer.text,
+        ...this.drawTextLayer(ctx, layer.text, styles[index]),
+      };
+    });
+
+    return layouts;
+  }
+
+  /**
+   * Render several text layers over one image and record their layout
+   *
+   * @param {string|Buffer|Readable|null} image - Input image path, contents or stream (null: plain letterboxColor background)
+   * @param {Object[]} layers - Layers { text, options, zIndex }
+   * @param {Object} options - Background and shared style options
+   * @returns {Promise<{canvas: Canvas, layout: Object}>} Canvas and per-layer geometry
+   */
+  async renderLayers(image, layers, options = {}) {
+    const style = this.resolveStyle(options);
+
+    console.log(
+      `🔄 Processing image: ${
+        typeof image === "string" ? image : image ? "in-memory image" : "none"
+      }`
+    );
+    layers.forEach((layer) => console.log(`📝 Adding text: "${layer.text}"`));
+
+    // Create canvas with TikTok dimensions
+    const canvas = createCanvas(style.width, style.height);
+    const ctx = canvas.getContext("2d");
+
+    // Draw background image using the requested fit mode
+    if (image) {
+      drawBackground(ctx, await loadBackgroundImage(image), style);
+    } else {
+      ctx.fillStyle = style.letterboxColor;
+      ctx.fillRect(0, 0, style.width, style.height);
+    }
+
+    const layerLayouts = await this.composeLayers(ctx, layers, options);
+
+    const layout = {
+      width: style.width,
+      height: style.height,
+      fit: style.fit,
+      layers: layerLayouts,
+    };
+
+    return { canvas, layout };
+  }
+
+  /**
+   * Compute text layer layouts without drawing anything
+   * Same geometry as composeLayers, measured on a 1x1 canvas.
+   *
+   * @param {Object[]} layers - Layers { text, options, zIndex }
+   * @param {Object} options - Shared style options
+   * @returns {Promise<Object[]>} Layout per layer
+   */
+  async layoutLayers(layers, options = {}) {
+    const styles = this.resolveLayerStyles(layers, options);
+    const ctx = createMeasureContext();
+
+    return layers.map((layer, index) => ({
+      index,
+      zIndex: layer.zIndex || 0,
+      text: layer.text,
+      ...this.measureTextLayer(ctx, layer.text, styles[index]).layout,
+    }));
+  }
+
+  /**
+   * Render the text overlay onto a fresh canvas and record the drawn layout
+   *
+   * @param {string|Buffer|Readable} image - Input image path, contents or stream
+   * @param {string} text - Text to overlay
+   * @param {Object} options - Per-call style overrides merged over the defaults
+   * @returns {Promise<{canvas: Canvas, layout: Object}>} Canvas and line/bubble geometry
+   */
+  async renderOverlay(image, text, options = {}) {
+    const { canvas, layout } = await this.renderLayers(
+      image,
+      [{ text }],
+      options
+    );
+    const { index, zIndex, text: layerText, ...layer } = layout.layers[0];
+
+    return {
+      canvas,
+      layout: {
+        width: layout.width,
+        height: layout.height,
+        fit: layout.fit,
+        ...layer,
+      },
+    };
+  }
+
+  /**
+   * Render text layers and return the encoded image with the layout
+   *
+   * @param {string|Buffer|Readable|null} image - Input image path, contents or stream (null for a plain background)
+   * @param {Object[]} layers - Layers { text, options, zIndex }
+   * @param {Object} options - Background, shared style and output options
+   * @returns {Promise<{buffer: Buffer, layout: Object}>} Encoded image and per-layer layout (with its encoding as `output`)
+   */
+  async addTextLayersWithLayout(image, layers, options = {}) {
+    try {
+      const { canvas, layout } = await this.renderLayers(
+        image,
+        layers,
+        options
+      );
+      const { buffer, output } = await encodeCanvas(
+        canvas,
+        this.resolveStyle(options)
+      );
+
+      console.log(
+        `✅ Text overlay processed successfully (${layers.length} layers)`
+      );
+      return { buffer, layout: { ...layout, output } };
+    } catch (error) {
+      console.error("❌ Error adding text overlay:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Main method to add text overlay to image
+   *
+   * @param {string|Buffer|Readable} image - Input image path, contents or stream
+   * @param {string} text - Text to overlay
+   * @param {string} outputPath - Output image path
+   * @param {Object} options - Per-call style overrides merged over the defaults
+   * @returns {Promise<string>} Path to generated image
+   */
+  async addTextOverlay(image, text, outputPath, options = {}) {
+    try {
+      const { canvas } = await this.renderOverlay(image, text, options);
+
+      // Save the result in the requested format
+      const { buffer } = await encodeCanvas(canvas, this.resolveStyle(options));
+      await fs.promises.writeFile(outputPath, buffer);
 
       console.log(`✅ Text overlay added successfully: ${outputPath}`);
       return outputPath;
@@ -357,99 +1081,17 @@ class TikTokTextOverlay {
   /**
    * Add text overlay to image and return as base64
    *
-   * @param {string} imagePath - Input image path
+   * @param {string|Buffer|Readable} image - Input image path, contents or stream
    * @param {string} text - Text to overlay
+   * @param {Object} options - Per-call style overrides merged over the defaults
    * @returns {Promise<string>} Base64 encoded image
    */
-  async addTextOverlayBase64(imagePath, text) {
+  async addTextOverlayBase64(image, text, options = {}) {
     try {
-      console.log(`🔄 Processing image: ${imagePath}`);
-      console.log(`📝 Adding text: "${text}"`);
-
-      // Load the background image
-      const image = await loadImage(imagePath);
-
-      // Create canvas with TikTok dimensions
-      const canvas = createCanvas(this.config.width, this.config.height);
-      const ctx = canvas.getContext("2d");
-
-      // Draw background image (scaled to fit 9:16 aspect ratio)
-      ctx.drawImage(image, 0, 0, this.config.width, this.config.height);
-
-      // Configure text styling
-      ctx.font = `${this.config.fontWeight} ${this.config.fontSize}px ${this.config.fontFamily}`;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-
-      // Calculate text metrics and line breaks
-      const textMetrics = this.calculateTextMetrics(
-        ctx,
-        text,
-        this.config.maxWidth
-      );
-
-      const isAutoWrap = this.shouldAutoWrap(text);
-
-      // Calculate positioning for first line
-      const lineHeight = this.config.fontSize * this.config.lineHeight;
-      const bubbleHeight = lineHeight + this.config.bubblePadding * 2;
-      const gapBetweenBubbles = -10; // Negative value creates overlap instead of gap
-
-      // TODO: Support top/center positions for auto-wrap mode if needed
-      let startY =
-        this.calculateVerticalPosition(
-          this.config.height,
-          textMetrics.totalHeight,
-          textMetrics.lines.length
-        ) - 50; // Move text 50px up
-
-      // In auto-wrap mode, clamp so the block bottom does not pass into bottom safe zone
-      if (isAutoWrap && textMetrics.lines.length > 0) {
-        const overlapBetweenBubbles = 10;
-        const totalBubbleHeight =
-          textMetrics.lines.length * bubbleHeight -
-          (textMetrics.lines.length - 1) * overlapBetweenBubbles;
-        const blockBottom = startY + totalBubbleHeight;
-        const maxBottom = TIKTOK_SAFE_ZONES.bottom.y; // 1200
-        if (blockBottom > maxBottom) {
-          startY -= blockBottom - maxBottom;
-        }
-      }
-
-      // Draw individual bubbles for each line
-      textMetrics.lines.forEach((line, index) => {
-        // Calculate bubble dimensions for this specific line
-        const lineWidth = ctx.measureText(line).width;
-        const isFirstLine = index === 0;
-        const extraPadding = isFirstLine ? 0 : 0; // Add 10px extra padding only to first line
-        const bubbleWidth =
-          lineWidth + (this.config.horizontalPadding + extraPadding) * 2; // Use horizontal padding for width
-        const bubbleHeight =
-          lineHeight + (this.config.bubblePadding + extraPadding) * 2; // Add extra padding to height for first line
-
-        // Calculate bubble position
-        const bubbleX = (this.config.width - bubbleWidth) / 2;
-        const bubbleY = startY + index * (bubbleHeight + gapBetweenBubbles);
-
-        // Draw individual bubble background
-        this.drawBubble(
-          ctx,
-          bubbleX,
-          bubbleY,
-          bubbleWidth,
-          bubbleHeight,
-          this.config.bubbleRadius
-        );
-
-        // Draw text for this line
-        ctx.fillStyle = this.config.textColor;
-        const textY =
-          bubbleY + (this.config.bubblePadding + extraPadding) + lineHeight / 2;
-        ctx.fillText(line, this.config.width / 2, textY);
-      });
+      const { canvas } = await this.renderOverlay(image, text, options);
 
       // Convert to base64
-      const buffer = canvas.toBuffer("image/png");
+      const { buffer } = await encodeCanvas(canvas, this.resolveStyle(options));
       const base64Image = buffer.toString("base64");
 
       console.log(`✅ Text overlay processed successfully (base64)`);
@@ -461,7 +1103,32 @@ class TikTokTextOverlay {
   }
 
   /**
-   * Update configuration with new settings
+   * Add text overlay to image and return the encoded image with its layout
+   *
+   * @param {string|Buffer|Readable} image - Input image path, contents or stream
+   * @param {string} text - Text to overlay
+   * @param {Object} options - Per-call style overrides merged over the defaults
+   * @returns {Promise<{buffer: Buffer, layout: Object}>} Encoded image and drawn layout (with its encoding as `output`)
+   */
+  async addTextOverlayWithLayout(image, text, options = {}) {
+    try {
+      const { canvas, layout } = await this.renderOverlay(image, text, options);
+      const { buffer, output } = await encodeCanvas(
+        canvas,
+        this.resolveStyle(options)
+      );
+
+      console.log(`✅ Text overlay processed successfully (with layout)`);
+      return { buffer, layout: { ...layout, output } };
+    } catch (error) {
+      console.error("❌ Error adding text overlay:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the default configuration with new settings
+   * Prefer per-call options; this changes the defaults for every later render.
    *
    * @param {Object} newConfig - New configuration options
    */
@@ -515,19 +1182,33 @@ class TikTokTextOverlay {
   }
 
   /**
-   * Preview text layout based on newline characters
+   * Preview the lines the renderer will draw for a text
+   * Uses the same measurement, wrap mode and auto-fit size as rendering.
    *
    * @param {string} text - Text to preview
-   * @param {Object} options - Options (not used in simple mode)
-   * @returns {string[]} Array of lines split by newlines
+   * @param {Object} options - Per-call style overrides merged over the defaults
+   * @returns {string[]} Plain text of each drawn line
    */
   previewBalancedText(text, options = {}) {
-    return splitTextByNewlines(text);
+    const layerStyle = this.resolveStyle(options);
+    const ctx = createMeasureContext();
+    const { style } = layerStyle.autoFit
+      ? this.fitFontSize(ctx, text, layerStyle)
+      : { style: layerStyle };
+
+    return this.calculateTextMetrics(
+      ctx,
+      text,
+      style.maxWidth,
+      style
+    ).lines.map(runsToText);
   }
 }
 
 // Export for use in other modules
 module.exports = {
   TikTokTextOverlay,
+  TEXT_STYLES,
+  WRAP_MODES,
   splitTextByNewlines,
 };